@@ -40,7 +40,11 @@ module.exports = {
         ".eslintrc.cjs",
         "vite.config.{js,ts}",
         "shopify.server.{js,ts}",
+        "vitest.config.{js,ts}",
         "**/*.server.{js,ts}",
+        "**/*.test.{js,ts}",
+        "app/test/**",
+        "scripts/**",
       ],
       env: {
         node: true,
@@ -1,25 +1,57 @@
+import { randomUUID } from "node:crypto";
 import { authenticate, unauthenticated } from "../shopify.server";
 import prisma from "../db.server";
-import { mapQueryToFilters } from "../services/ai-filter.server";
-import { isTaxonomyStale, syncTaxonomy, parseTaxonomy } from "../services/taxonomy-sync.server";
-import { checkRateLimit } from "../utils/rateLimiter";
-import { cacheKey, cacheGet, cacheSet, cacheFlushShop } from "../utils/queryCache";
-
-const AI_RATE_LIMIT = 10;
+import { mapQueryToFilters, normalizeConversation } from "../services/ai-filter.server";
+import { findPinnedRule } from "../services/pinned-rules.server";
+import { rankAlternatives } from "../services/relaxation.server";
+import { preflightResult, resultCounter } from "../services/result-preflight.server";
+import { isTaxonomyStale, syncTaxonomy, loadTaxonomy } from "../services/taxonomy-sync.server";
+import { getUsage, planFor, recordUsage } from "../services/usage.server";
+import { checkRateLimits } from "../utils/rateLimiter";
+import { cacheKey, cacheLookup, cacheSet, cacheFlushShop, normalizeQuery } from "../utils/queryCache.server";
+import { canonicalizeQuery } from "../utils/queryCanonical";
+import { visitorKey } from "../utils/visitorKey.server";
+
+const RELAX_VISITOR_RATE_LIMIT = 10;
+const RELAX_SHOP_RATE_LIMIT = 120; // outer cap across all of a store's shoppers
 const RATE_WINDOW_MS = 60_000;
+const VISITOR_HOUR_MS = 60 * 60_000;
 
 const isDev = process.env.NODE_ENV !== "production";
 
-function jsonResponse(data, status = 200) {
+function jsonResponse(data, status = 200, headers = {}) {
   return new Response(JSON.stringify(data), {
     status,
     headers: {
       "Content-Type": "application/json",
       "Cache-Control": "no-store",
+      ...headers,
     },
   });
 }
 
+// Whole seconds until a rejected request may be retried
+const retryAfterSeconds = (limit) => Math.max(1, Math.ceil(limit.retryAfterMs / 1000));
+
+/**
+ * RateLimit-* headers (IETF draft) for a limiter result, plus Retry-After
+ * when it was rejected.
+ * @param {Awaited<ReturnType<typeof import("../utils/rateLimiter").checkRateLimit>>} limit
+ * @returns {Record<string, string>}
+ */
+function rateLimitHeaders(limit) {
+  const headers = {
+    "RateLimit-Limit": String(limit.limit),
+    "RateLimit-Remaining": String(limit.remaining),
+    "RateLimit-Reset": String(Math.ceil(limit.resetMs / 1000)),
+    "RateLimit-Policy": `${limit.maxRequests};w=${Math.round(limit.windowMs / 1000)}`,
+  };
+  if (!limit.allowed) {
+    headers["Retry-After"] = String(retryAfterSeconds(limit));
+  }
+  return headers;
+}
+
 export const loader = async ({ request }) => {
   const { session } = await authenticate.public.appProxy(request);
   const shop = session?.shop;
@@ -50,21 +82,17 @@ export const action = async ({ request }) => {
   const path = url.pathname.replace(/^\/api\/proxy\/?/, "");
 
   if (path === "query") {
-    const { allowed } = checkRateLimit(
-      `ai:${shop}`,
-      AI_RATE_LIMIT,
-      RATE_WINDOW_MS,
-    );
-    if (!allowed) {
-      return jsonResponse({
-        error: "Too many requests. Please wait a moment and try again.",
-        filters: null,
-        explanation: null,
-      });
-    }
     return handleQueryRequest(request, shop);
   }
 
+  if (path === "relax") {
+    return handleRelaxRequest(request, shop);
+  }
+
+  if (path === "outcome") {
+    return handleOutcomeRequest(request, shop);
+  }
+
   return jsonResponse({ error: "Not found" }, 404);
 };
 
@@ -96,7 +124,7 @@ async function handleQueryRequest(request, shop) {
     });
   }
 
-  const { query, collectionHandle, availableFilters } = body;
+  const { query, collectionHandle, availableFilters, history, currentFilters } = body;
 
   if (!query || typeof query !== "string" || query.trim().length === 0) {
     return jsonResponse({
@@ -129,6 +157,31 @@ async function handleQueryRequest(request, shop) {
     });
   }
 
+  // One visitor can't use up the whole store's limit: the merchant's
+  // per-visitor limits first, then the per-minute limit from the shop's plan
+  const visitor = visitorKey(request, shop, body);
+  const limit = await checkRateLimits([
+    ...(visitor
+      ? [
+        { key: `ai:${shop}:${visitor}:m`, maxRequests: shopRecord.visitorRequestsPerMinute, windowMs: RATE_WINDOW_MS },
+        { key: `ai:${shop}:${visitor}:h`, maxRequests: shopRecord.visitorRequestsPerHour, windowMs: VISITOR_HOUR_MS },
+      ]
+      : []),
+    { key: `ai:${shop}`, maxRequests: planFor(shopRecord).requestsPerMinute, windowMs: RATE_WINDOW_MS },
+  ]);
+  if (!limit.allowed) {
+    return jsonResponse(
+      {
+        error: "Too many requests. Please wait a moment and try again.",
+        filters: null,
+        explanation: null,
+        retryAfter: retryAfterSeconds(limit),
+      },
+      429,
+      rateLimitHeaders(limit),
+    );
+  }
+
   // --- Taxonomy: lazy sync if stale ---
   let taxonomyContext = null;
   if (isTaxonomyStale(shopRecord)) {
@@ -136,8 +189,9 @@ async function handleQueryRequest(request, shop) {
       // Never synced — block and sync now so we have data
       try {
         const { admin } = await unauthenticated.admin(shop);
-        await syncTaxonomy(admin, shop);
-        cacheFlushShop(shop);
+        // Variant options need a full catalog scan — let them finish in the background
+        await syncTaxonomy(admin, shop, { waitForOptions: false });
+        await cacheFlushShop(shop);
         // Reload shop record with fresh taxonomy
         shopRecord = await prisma.shop.findUnique({ where: { domain: shop } });
       } catch (err) {
@@ -150,7 +204,7 @@ async function handleQueryRequest(request, shop) {
         try {
           const { admin } = await unauthenticated.admin(shop);
           await syncTaxonomy(admin, shop);
-          cacheFlushShop(shop);
+          await cacheFlushShop(shop);
         } catch (err) {
           console.error("[AI Filter] Background taxonomy sync failed:", err);
         }
@@ -158,88 +212,164 @@ async function handleQueryRequest(request, shop) {
     }
   }
 
-  taxonomyContext = parseTaxonomy(shopRecord);
+  // Collection pages with their own value set only see values that exist there
+  const collection = typeof collectionHandle === "string" ? collectionHandle.trim().toLowerCase().slice(0, 255) : "";
+  taxonomyContext = await loadTaxonomy(shopRecord, { collectionHandle: collection });
   timings.taxonomyMs = Date.now() - timings.start;
 
-  // Check cache
+  // Merchant-pinned rules win over the cache and the LLM
+  const rule = await findPinnedRule(shopRecord.id, query);
+
+  timings.ruleCheckMs = Date.now() - timings.start;
+
+  if (rule) {
+    console.log(`[AI Filter] Pinned rule ${rule.id} matched`);
+
+    const queryId = recordQuery(shopRecord, {
+      userQuery: query,
+      collectionHandle: collection,
+      filters: rule.filters,
+      latencyMs: 0,
+      source: "rule",
+    });
+
+    const responseData = {
+      filters: rule.filters,
+      explanation: rule.explanation,
+      searchQuery: rule.searchQuery || null,
+      source: "rule",
+      queryId,
+      error: null,
+    };
+
+    if (isDev) {
+      responseData._debug = { ...timings, ruleId: rule.id, totalMs: Date.now() - timings.start };
+    }
+
+    return jsonResponse(responseData);
+  }
+
+  // Follow-up turns depend on what is already applied, so they bypass the cache
+  const conversation = normalizeConversation(history, currentFilters);
+
+  // Check cache, keyed by the query's canonical form
   const key = cacheKey(shop, collectionHandle, query);
-  const cached = cacheGet(key);
+  const canonicalQuery = canonicalizeQuery(query);
+  const { value: cached, match, tier } = conversation
+    ? { value: undefined, match: null, tier: null }
+    : await cacheLookup(key, { ttlHours: shopRecord.cacheTtlHours });
 
   timings.cacheCheckMs = Date.now() - timings.start;
 
   if (cached) {
-    console.log("[AI Filter] Cache HIT:", key);
+    console.log(
+      `[AI Filter] Cache HIT (${tier}):`,
+      key,
+      match.canonical === canonicalQuery ? "" : `(similar: "${match.canonical}", ${match.similarity.toFixed(2)})`,
+    );
+
+    const preflight = shopRecord.resultPreflight
+      ? await preflightResult(shop, { collectionHandle: collection, filters: cached.filters, searchQuery: cached.searchQuery, query }, taxonomyContext)
+      : null;
+    timings.preflightMs = Date.now() - timings.start;
 
     // Fire-and-forget analytics for cache hits
-    Promise.all([
-      prisma.aiFilterQuery.create({
-        data: {
-          shopId: shopRecord.id,
-          userQuery: query.trim().slice(0, 500),
-          filtersReturned: JSON.stringify(cached.filters),
-          latencyMs: 0,
-        },
-      }),
-      prisma.shop.update({
-        where: { id: shopRecord.id },
-        data: { queryCount: { increment: 1 } },
-      }),
-    ]).catch((err) =>
-      console.error("[AI Filter] Analytics write error (cache hit):", err),
-    );
+    const queryId = recordQuery(shopRecord, {
+      userQuery: query,
+      collectionHandle: collection,
+      filters: cached.filters,
+      latencyMs: 0,
+      source: "cache",
+      cacheOutcome: tier,
+      preflight,
+    });
 
     const responseData = {
       filters: cached.filters,
       explanation: cached.explanation,
       searchQuery: cached.searchQuery || null,
+      source: "cache",
+      queryId,
       error: null,
+      ...preflightFields(preflight),
     };
 
     if (isDev) {
-      responseData._debug = { ...timings, cacheHit: true, totalMs: Date.now() - timings.start };
+      responseData._debug = {
+        ...timings,
+        cacheHit: true,
+        cacheTier: tier,
+        canonicalQuery,
+        matchedCanonical: match.canonical,
+        similarity: match.similarity,
+        totalMs: Date.now() - timings.start,
+      };
     }
 
     return jsonResponse(responseData);
   }
 
-  console.log("[AI Filter] Cache MISS:", key);
+  console.log(conversation ? "[AI Filter] Conversation turn, cache skipped:" : "[AI Filter] Cache MISS:", key);
+
+  // Cache misses count toward the monthly quota; once it is used up the
+  // shop's overQuotaBehavior decides what the customer gets
+  const usage = await getUsage(shopRecord);
+  if (usage.exhausted) {
+    console.warn(`[AI Filter] Monthly quota reached for ${shop} (${usage.aiQueries}/${usage.quota})`);
+    return overQuotaResponse(shopRecord, { query, collectionHandle: collection });
+  }
 
   try {
+    const synonyms = await prisma.synonym.findMany({
+      where: { shopId: shopRecord.id },
+      select: { term: true, canonical: true },
+    });
+
     const result = await mapQueryToFilters(
       query.trim(),
       taxonomyContext,
       availableFilters || [],
       collectionHandle || "",
+      {
+        provider: shopRecord.llmProvider,
+        model: shopRecord.llmModel,
+        synonyms,
+        customInstructions: shopRecord.customInstructions,
+        conversation,
+      },
     );
 
     timings.llmCompleteMs = Date.now() - timings.start;
 
-    // Store in cache
-    if (result.filters.length > 0 || result.searchQuery) {
-      cacheSet(key, {
-        filters: result.filters,
-        explanation: result.explanation,
-        searchQuery: result.searchQuery || null,
-      });
+    // Store in cache — fallback results are not cached so the LLM is retried once it recovers,
+    // and refinements are not cached because they depend on the applied filters
+    if (!conversation && result.source === "llm" && (result.filters.length > 0 || result.searchQuery)) {
+      cacheSet(
+        key,
+        {
+          filters: result.filters,
+          explanation: result.explanation,
+          searchQuery: result.searchQuery || null,
+        },
+        { ttlHours: shopRecord.cacheTtlHours },
+      );
     }
 
+    const preflight = shopRecord.resultPreflight
+      ? await preflightResult(shop, { collectionHandle: collection, filters: result.filters, searchQuery: result.searchQuery, query }, taxonomyContext)
+      : null;
+    timings.preflightMs = Date.now() - timings.start;
+
     // Fire-and-forget DB writes — don't block the response
-    Promise.all([
-      prisma.aiFilterQuery.create({
-        data: {
-          shopId: shopRecord.id,
-          userQuery: query.trim().slice(0, 500),
-          filtersReturned: JSON.stringify(result.filters),
-          latencyMs: result.latencyMs || 0,
-        },
-      }),
-      prisma.shop.update({
-        where: { id: shopRecord.id },
-        data: { queryCount: { increment: 1 } },
-      }),
-    ]).catch((err) =>
-      console.error("[AI Filter] Analytics write error:", err),
-    );
+    const queryId = recordQuery(shopRecord, {
+      userQuery: query,
+      collectionHandle: collection,
+      filters: result.filters,
+      latencyMs: result.latencyMs || 0,
+      source: result.source,
+      cacheOutcome: conversation ? null : "miss",
+      preflight,
+    });
 
     timings.responseReadyMs = Date.now() - timings.start;
 
@@ -247,11 +377,24 @@ async function handleQueryRequest(request, shop) {
       filters: result.filters,
       explanation: result.explanation,
       searchQuery: result.searchQuery || null,
+      mode: result.mode,
+      source: result.source,
+      queryId,
       error: null,
+      ...preflightFields(preflight),
     };
 
     if (isDev) {
-      responseData._debug = { ...timings, cacheHit: false, llmLatencyMs: result.latencyMs };
+      responseData._debug = {
+        ...timings,
+        cacheHit: false,
+        canonicalQuery,
+        llmLatencyMs: result.latencyMs,
+        provider: result.provider,
+        model: result.model,
+        promptTokens: result.promptTokens,
+        taxonomyScope: taxonomyContext.scope,
+      };
     }
 
     console.log("[AI Filter] Timings:", timings);
@@ -267,6 +410,187 @@ async function handleQueryRequest(request, shop) {
   }
 }
 
+/**
+ * Response fields from a result preflight: the (possibly relaxed) filters and
+ * the product count. Without a preflight the widget counts on its own.
+ * @param {Awaited<ReturnType<typeof preflightResult>>} preflight
+ * @returns {object}
+ */
+function preflightFields(preflight) {
+  if (!preflight) return {};
+  return {
+    filters: preflight.filters,
+    productCount: preflight.productCount,
+    productCountCapped: preflight.productCountCapped,
+    relaxation: preflight.relaxation,
+    alternatives: preflight.alternatives,
+  };
+}
+
+/**
+ * Response for a cache miss after the monthly quota is used up: either the
+ * customer's words as a plain store search, or an error when the merchant
+ * chose to block.
+ * @param {object} shopRecord
+ * @param {{ query: string, collectionHandle: string }} params
+ * @returns {Response}
+ */
+function overQuotaResponse(shopRecord, { query, collectionHandle }) {
+  if (shopRecord.overQuotaBehavior === "block") {
+    return jsonResponse({
+      error: "AI search isn't available right now. Please use the store search instead.",
+      filters: null,
+      explanation: null,
+    });
+  }
+
+  const queryId = recordQuery(shopRecord, {
+    userQuery: query,
+    collectionHandle,
+    filters: [],
+    latencyMs: 0,
+    source: "quota",
+  });
+
+  return jsonResponse({
+    filters: [],
+    explanation: null,
+    searchQuery: query.trim(),
+    source: "quota",
+    queryId,
+    error: null,
+  });
+}
+
+/**
+ * Log a query and bump the shop and monthly usage counters without blocking the response.
+ * The row id is generated up front so the storefront can report the outcome against it.
+ * A preflight count is stored right away; the storefront's report may refine it.
+ * @param {object} shopRecord
+ * @param {{ userQuery: string, collectionHandle?: string, filters: Array, latencyMs: number, source: string, cacheOutcome?: "lru"|"persistent"|"miss"|null, preflight?: object|null }} data
+ * @returns {string} The AiFilterQuery id
+ */
+function recordQuery(shopRecord, { userQuery, collectionHandle, filters, latencyMs, source, cacheOutcome = null, preflight }) {
+  const id = randomUUID();
+
+  Promise.all([
+    prisma.aiFilterQuery.create({
+      data: {
+        id,
+        shopId: shopRecord.id,
+        userQuery: userQuery.trim().slice(0, 500),
+        normalizedQuery: normalizeQuery(userQuery).slice(0, 500),
+        collectionHandle: collectionHandle || "",
+        ...(preflight && {
+          productCount: preflight.productCount,
+          relaxed: !!preflight.relaxation,
+          relaxation: preflight.relaxation,
+        }),
+        filtersReturned: JSON.stringify(filters),
+        latencyMs,
+        source,
+        day: new Date().toISOString().slice(0, 10),
+      },
+    }),
+    prisma.shop.update({
+      where: { id: shopRecord.id },
+      data: { queryCount: { increment: 1 } },
+    }),
+    recordUsage(shopRecord, source, cacheOutcome),
+  ]).catch((err) =>
+    console.error(`[AI Filter] Analytics write error (${source}):`, err),
+  );
+
+  return id;
+}
+
+/**
+ * Ranked alternatives for filters that showed no products, so the widget can
+ * relax them. Counts come from the Storefront API when the shop allows it,
+ * otherwise from the taxonomy.
+ */
+async function handleRelaxRequest(request, shop) {
+  const body = await request.json().catch(() => null);
+
+  // Per shopper, so one store's zero-result searches don't lock out the rest
+  const visitor = visitorKey(request, shop, body);
+  const limit = await checkRateLimits([
+    ...(visitor ? [{ key: `relax:${shop}:${visitor}`, maxRequests: RELAX_VISITOR_RATE_LIMIT, windowMs: RATE_WINDOW_MS }] : []),
+    { key: `relax:${shop}`, maxRequests: RELAX_SHOP_RATE_LIMIT, windowMs: RATE_WINDOW_MS },
+  ]);
+  if (!limit.allowed) {
+    return jsonResponse(
+      { error: "Too many requests. Please wait a moment and try again.", alternatives: [], retryAfter: retryAfterSeconds(limit) },
+      429,
+      rateLimitHeaders(limit),
+    );
+  }
+  const filters = normalizeConversation([], body?.filters)?.currentFilters || [];
+  if (filters.length === 0) {
+    return jsonResponse({ alternatives: [] });
+  }
+
+  const collection = typeof body.collectionHandle === "string" ? body.collectionHandle.trim().toLowerCase().slice(0, 255) : "";
+  const query = typeof body.query === "string" ? body.query.slice(0, 500) : "";
+  const searchQuery = typeof body.searchQuery === "string" ? body.searchQuery.slice(0, 500) : null;
+
+  try {
+    const shopRecord = await prisma.shop.findUnique({ where: { domain: shop } });
+    if (!shopRecord?.enabled) {
+      return jsonResponse({ alternatives: [] });
+    }
+
+    const [taxonomy, count] = await Promise.all([
+      loadTaxonomy(shopRecord, { collectionHandle: collection }),
+      resultCounter(shop, { collectionHandle: collection, searchQuery, query }).catch(() => null),
+    ]);
+
+    const alternatives = await rankAlternatives(filters, taxonomy, { count });
+    return jsonResponse({ alternatives });
+  } catch (error) {
+    console.error("[AI Filter] Relaxation error:", error);
+    return jsonResponse({ alternatives: [] });
+  }
+}
+
+/**
+ * Storefront follow-up after the filtered grid rendered: how many products
+ * were shown and whether the widget had to relax the filters to get there.
+ */
+async function handleOutcomeRequest(request, shop) {
+  const body = await request.json().catch(() => null);
+  const { queryId, productCount, relaxed, relaxation } = body || {};
+
+  if (
+    typeof queryId !== "string" ||
+    queryId.length > 64 ||
+    !Number.isInteger(productCount) ||
+    productCount < 0
+  ) {
+    return jsonResponse({ error: "Invalid outcome" }, 400);
+  }
+
+  try {
+    // Scope by shop so one store can't write to another store's rows
+    const { count } = await prisma.aiFilterQuery.updateMany({
+      where: { id: queryId, shop: { domain: shop } },
+      data: {
+        productCount,
+        relaxed: relaxed === true,
+        relaxation:
+          relaxed === true && typeof relaxation === "string"
+            ? relaxation.slice(0, 200)
+            : null,
+      },
+    });
+
+    return jsonResponse({ ok: count > 0 });
+  } catch (error) {
+    console.error("[AI Filter] Outcome write error:", error);
+    return jsonResponse({ ok: false });
+  }
+}
+
 async function handleSettingsRequest(shop) {
   const shopRecord = await prisma.shop.findUnique({ where: { domain: shop } });
   if (!shopRecord) {
@@ -1,8 +1,10 @@
 import { useLoaderData } from "react-router";
 import { authenticate } from "../shopify.server";
 import prisma from "../db.server";
-import { isTaxonomyStale, syncTaxonomy } from "../services/taxonomy-sync.server";
-import { cacheFlushShop } from "../utils/queryCache";
+import { isTaxonomyStale, syncCollectionTaxonomies, syncTaxonomy } from "../services/taxonomy-sync.server";
+import { isSyncInterrupted, syncCatalogSnapshot } from "../services/catalog-snapshot.server";
+import { getUsage } from "../services/usage.server";
+import { cacheFlushShop } from "../utils/queryCache.server";
 
 export const loader = async ({ request }) => {
   const { session, admin } = await authenticate.admin(request);
@@ -18,11 +20,19 @@ export const loader = async ({ request }) => {
     });
   }
 
-  // Fire-and-forget taxonomy sync if stale
+  const syncJob = await prisma.taxonomySyncJob.findUnique({
+    where: { shopId: shopRecord.id },
+  });
+
+  // Fire-and-forget taxonomy sync if stale, or resume an interrupted catalog scan
   if (isTaxonomyStale(shopRecord)) {
     syncTaxonomy(admin, shop)
       .then(() => cacheFlushShop(shop))
       .catch((err) => console.error("[Dashboard] Taxonomy sync failed:", err));
+  } else if (isSyncInterrupted(syncJob)) {
+    syncCatalogSnapshot(admin, shop)
+      .then((ran) => (ran ? syncCollectionTaxonomies(admin, shop) : null))
+      .catch((err) => console.error("[Dashboard] Catalog scan failed:", err));
   }
 
   // Get total queries
@@ -54,27 +64,26 @@ export const loader = async ({ request }) => {
       id: true,
       userQuery: true,
       filtersReturned: true,
+      productCount: true,
+      relaxed: true,
       latencyMs: true,
       createdAt: true,
     },
   });
 
-  // Get top queries (most common)
-  const allQueries = await prisma.aiFilterQuery.findMany({
+  // Get top queries (most common), grouped in the database
+  const topQueryGroups = await prisma.aiFilterQuery.groupBy({
+    by: ["normalizedQuery"],
     where: { shopId: shopRecord.id },
-    select: { userQuery: true },
+    _count: { _all: true },
+    orderBy: { _count: { normalizedQuery: "desc" } },
+    take: 10,
   });
 
-  const queryCounts = {};
-  for (const q of allQueries) {
-    const normalized = q.userQuery.toLowerCase().trim();
-    queryCounts[normalized] = (queryCounts[normalized] || 0) + 1;
-  }
-
-  const topQueries = Object.entries(queryCounts)
-    .sort((a, b) => b[1] - a[1])
-    .slice(0, 10)
-    .map(([query, count]) => ({ query, count }));
+  const topQueries = topQueryGroups.map((g) => ({
+    query: g.normalizedQuery,
+    count: g._count._all,
+  }));
 
   return {
     totalQueries,
@@ -86,6 +95,16 @@ export const loader = async ({ request }) => {
     })),
     topQueries,
     enabled: shopRecord.enabled,
+    usage: await getUsage(shopRecord),
+    catalogSync: syncJob
+      ? {
+        status: syncJob.status,
+        mode: syncJob.mode,
+        productsScanned: syncJob.productsScanned,
+        error: syncJob.error,
+        completedAt: syncJob.completedAt?.toISOString() || null,
+      }
+      : null,
   };
 };
 
@@ -97,6 +116,8 @@ export default function Dashboard() {
     recentQueries,
     topQueries,
     enabled,
+    usage,
+    catalogSync,
   } = useLoaderData();
 
   return (
@@ -108,6 +129,32 @@ export default function Dashboard() {
         </s-banner>
       )}
 
+      {usage.warning && (
+        <s-banner tone={usage.exhausted ? "critical" : "warning"}>
+          {usage.aiQueries.toLocaleString()} of {usage.quota.toLocaleString()}{" "}
+          AI queries used this month on the {usage.plan.label} plan.{" "}
+          {usage.exhausted
+            ? "New questions get the fallback you chose in Settings until next month."
+            : "See Settings for what happens at the limit."}
+        </s-banner>
+      )}
+
+      {catalogSync?.status === "running" && (
+        <s-banner tone="info">
+          Scanning your catalog
+          {catalogSync.mode === "bulk" ? " with a bulk operation" : ""} —{" "}
+          {catalogSync.productsScanned.toLocaleString()} products scanned so far.
+        </s-banner>
+      )}
+      {catalogSync?.status === "failed" && (
+        <s-banner tone="warning">
+          The last catalog scan stopped after{" "}
+          {catalogSync.productsScanned.toLocaleString()} products
+          {catalogSync.error ? ` (${catalogSync.error})` : ""}. It will be
+          retried automatically.
+        </s-banner>
+      )}
+
       <s-layout>
         <s-layout-section>
           <div className="aif-kpi-grid">
@@ -127,13 +174,50 @@ export default function Dashboard() {
               <span className="aif-kpi-label">Avg Latency</span>
               <span className="aif-kpi-value">{avgLatency}ms</span>
             </div>
+            <div className="aif-kpi-card">
+              <span className="aif-kpi-label">Cache Hit Rate</span>
+              <span className="aif-kpi-value">
+                {usage.cache.hitRate === null ? "—" : `${usage.cache.hitRate}%`}
+              </span>
+            </div>
           </div>
         </s-layout-section>
 
+        <s-layout-section>
+          <s-card>
+            <s-text variant="headingMd">Query Cache</s-text>
+            <p className="aif-helper-text">
+              This month. Cached answers don&apos;t use AI queries. Answers are
+              kept for the time set in Settings and cleared when your catalog
+              data changes.
+            </p>
+            <table className="aif-table">
+              <tbody>
+                <tr>
+                  <td>Answered from the recent cache</td>
+                  <td>{usage.cache.hits.toLocaleString()}</td>
+                </tr>
+                <tr>
+                  <td>Answered from saved answers</td>
+                  <td>{usage.cache.persistentHits.toLocaleString()}</td>
+                </tr>
+                <tr>
+                  <td>Sent to the AI model (misses)</td>
+                  <td>{usage.cache.misses.toLocaleString()}</td>
+                </tr>
+              </tbody>
+            </table>
+          </s-card>
+        </s-layout-section>
+
         {topQueries.length > 0 && (
           <s-layout-section>
             <s-card>
               <s-text variant="headingMd">Top Queries</s-text>
+              <p className="aif-helper-text">
+                All time. See <s-link href="/app/analytics">Analytics</s-link>{" "}
+                for date ranges and exports.
+              </p>
               <table className="aif-table">
                 <thead>
                   <tr>
@@ -168,6 +252,7 @@ export default function Dashboard() {
                   <tr>
                     <th>Query</th>
                     <th>Filters</th>
+                    <th>Results</th>
                     <th>Latency</th>
                     <th>Time</th>
                   </tr>
@@ -187,6 +272,10 @@ export default function Dashboard() {
                         <td>
                           {filterCount} filter{filterCount !== 1 ? "s" : ""}
                         </td>
+                        <td>
+                          {q.productCount === null ? "—" : q.productCount}
+                          {q.relaxed ? " (relaxed)" : ""}
+                        </td>
                         <td>{q.latencyMs}ms</td>
                         <td>
                           {new Date(q.createdAt).toLocaleString()}
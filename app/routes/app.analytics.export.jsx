@@ -0,0 +1,37 @@
+import { authenticate } from "../shopify.server";
+import prisma from "../db.server";
+import { getQueryLog, parseDateRange, toCsv } from "../services/analytics.server";
+
+/**
+ * Raw query log download for a date range: ?format=csv|json plus the same
+ * range params as the analytics page.
+ */
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const shop = session.shop;
+
+  const shopRecord = await prisma.shop.findUnique({
+    where: { domain: shop },
+  });
+  if (!shopRecord) {
+    return new Response("Shop not found", { status: 404 });
+  }
+
+  const params = new URL(request.url).searchParams;
+  const format = params.get("format") === "json" ? "json" : "csv";
+  const range = parseDateRange(params);
+  const rows = await getQueryLog(shopRecord.id, range);
+
+  const filename = `ai-filter-queries-${range.fromDay}-to-${range.toDay}.${format}`;
+  const body = format === "json" ? JSON.stringify(rows, null, 2) : toCsv(rows);
+
+  return new Response(body, {
+    headers: {
+      "Content-Type": format === "json"
+        ? "application/json; charset=utf-8"
+        : "text/csv; charset=utf-8",
+      "Content-Disposition": `attachment; filename="${filename}"`,
+      "Cache-Control": "no-store",
+    },
+  });
+};
@@ -0,0 +1,274 @@
+import { useState } from "react";
+import { Form, useLoaderData, useNavigation } from "react-router";
+import { authenticate } from "../shopify.server";
+import prisma from "../db.server";
+import {
+  RANGE_PRESETS,
+  getQueryAnalytics,
+  parseDateRange,
+} from "../services/analytics.server";
+
+const SOURCE_LABELS = {
+  llm: "AI model",
+  cache: "Cache",
+  fallback: "Fallback parser",
+  rule: "Pinned rule",
+};
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const shop = session.shop;
+
+  let shopRecord = await prisma.shop.findUnique({
+    where: { domain: shop },
+  });
+
+  if (!shopRecord) {
+    shopRecord = await prisma.shop.create({
+      data: { domain: shop },
+    });
+  }
+
+  const range = parseDateRange(new URL(request.url).searchParams);
+  const analytics = await getQueryAnalytics(shopRecord.id, range);
+
+  return {
+    range: {
+      range: range.range,
+      fromDay: range.fromDay,
+      toDay: range.toDay,
+    },
+    presets: Object.entries(RANGE_PRESETS).map(([value, p]) => ({
+      value,
+      label: p.label,
+    })),
+    ...analytics,
+  };
+};
+
+/**
+ * Format a 0..1 ratio as a percentage.
+ * @param {number} ratio
+ * @returns {string}
+ */
+function formatPercent(ratio) {
+  return `${Math.round(ratio * 1000) / 10}%`;
+}
+
+export default function Analytics() {
+  const {
+    range,
+    presets,
+    total,
+    daily,
+    sources,
+    cacheHitRatio,
+    latency,
+    filterTypes,
+  } = useLoaderData();
+  const navigation = useNavigation();
+  const isLoading = navigation.state === "loading";
+  const [rangeChoice, setRangeChoice] = useState(range.range);
+  const [exporting, setExporting] = useState(null);
+  const [exportError, setExportError] = useState(null);
+
+  const peakDaily = Math.max(0, ...daily.map((d) => d.count));
+  const maxDaily = Math.max(1, peakDaily);
+
+  // The export is a separate resource route; fetch it (App Bridge adds the
+  // session token) and hand the body to the browser as a download
+  const handleExport = async (format) => {
+    setExporting(format);
+    setExportError(null);
+    try {
+      const params = new URLSearchParams({
+        format,
+        range: range.range,
+        from: range.fromDay,
+        to: range.toDay,
+      });
+      const response = await fetch(`/app/analytics/export?${params}`);
+      if (!response.ok) throw new Error(`Export failed (${response.status})`);
+
+      const blob = await response.blob();
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `ai-filter-queries-${range.fromDay}-to-${range.toDay}.${format}`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setExportError(err.message);
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  return (
+    <s-page title="Query Analytics">
+      {exportError && (
+        <s-banner tone="critical">{exportError}</s-banner>
+      )}
+
+      <s-layout>
+        <s-layout-section>
+          <s-card>
+            <Form method="get">
+              <div className="aif-field-stack">
+                <div className="aif-inline-form">
+                  <s-select
+                    name="range"
+                    label="Date range"
+                    value={rangeChoice}
+                    onChange={(e) => setRangeChoice(e.target.value)}
+                  >
+                    {presets.map((p) => (
+                      <s-option key={p.value} value={p.value}>
+                        {p.label}
+                      </s-option>
+                    ))}
+                    <s-option value="custom">Custom range</s-option>
+                  </s-select>
+                  {rangeChoice === "custom" && (
+                    <>
+                      <s-date-field
+                        name="from"
+                        label="From"
+                        value={range.fromDay}
+                      ></s-date-field>
+                      <s-date-field
+                        name="to"
+                        label="To"
+                        value={range.toDay}
+                      ></s-date-field>
+                    </>
+                  )}
+                  <s-button type="submit" disabled={isLoading}>
+                    Apply
+                  </s-button>
+                </div>
+                <p className="aif-helper-text">
+                  {range.fromDay} to {range.toDay} (UTC)
+                </p>
+              </div>
+            </Form>
+          </s-card>
+        </s-layout-section>
+
+        <s-layout-section>
+          <div className="aif-kpi-grid">
+            <div className="aif-kpi-card">
+              <span className="aif-kpi-label">Queries</span>
+              <span className="aif-kpi-value">{total.toLocaleString()}</span>
+            </div>
+            <div className="aif-kpi-card">
+              <span className="aif-kpi-label">Cache Hit Ratio</span>
+              <span className="aif-kpi-value">{formatPercent(cacheHitRatio)}</span>
+            </div>
+            <div className="aif-kpi-card">
+              <span className="aif-kpi-label">Latency p50</span>
+              <span className="aif-kpi-value">{latency.p50}ms</span>
+            </div>
+            <div className="aif-kpi-card">
+              <span className="aif-kpi-label">Latency p95</span>
+              <span className="aif-kpi-value">{latency.p95}ms</span>
+            </div>
+          </div>
+        </s-layout-section>
+
+        <s-layout-section>
+          <s-card>
+            <s-text variant="headingMd">Daily Queries</s-text>
+            <div className="aif-bar-chart">
+              {daily.map((d) => (
+                <div
+                  key={d.day}
+                  className="aif-bar"
+                  style={{ height: `${(d.count / maxDaily) * 100}%` }}
+                  title={`${d.day}: ${d.count}`}
+                ></div>
+              ))}
+            </div>
+            <p className="aif-helper-text">
+              Peak: {peakDaily.toLocaleString()} per day.
+              Latency figures exclude cache hits and pinned rules (average {latency.avg}ms).
+            </p>
+          </s-card>
+        </s-layout-section>
+
+        <s-layout-section>
+          <s-card>
+            <s-text variant="headingMd">Answered By</s-text>
+            <table className="aif-table">
+              <thead>
+                <tr>
+                  <th>Source</th>
+                  <th>Queries</th>
+                  <th>Share</th>
+                </tr>
+              </thead>
+              <tbody>
+                {Object.entries(sources).map(([source, count]) => (
+                  <tr key={source}>
+                    <td>{SOURCE_LABELS[source] || source}</td>
+                    <td>{count.toLocaleString()}</td>
+                    <td>{formatPercent(total > 0 ? count / total : 0)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </s-card>
+        </s-layout-section>
+
+        <s-layout-section>
+          <s-card>
+            <s-text variant="headingMd">Filter Types Used</s-text>
+            <table className="aif-table">
+              <thead>
+                <tr>
+                  <th>Filter type</th>
+                  <th>Queries</th>
+                  <th>Share</th>
+                </tr>
+              </thead>
+              <tbody>
+                {filterTypes.map((t) => (
+                  <tr key={t.key}>
+                    <td>{t.label}</td>
+                    <td>{t.count.toLocaleString()}</td>
+                    <td>{formatPercent(t.share)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </s-card>
+        </s-layout-section>
+
+        <s-layout-section>
+          <s-card>
+            <s-text variant="headingMd">Export</s-text>
+            <p className="aif-helper-text">
+              Download the raw query log for the selected range.
+            </p>
+            <div className="aif-inline-form">
+              <s-button
+                onClick={() => handleExport("csv")}
+                disabled={exporting !== null}
+              >
+                {exporting === "csv" ? "Exporting..." : "Download CSV"}
+              </s-button>
+              <s-button
+                onClick={() => handleExport("json")}
+                disabled={exporting !== null}
+              >
+                {exporting === "json" ? "Exporting..." : "Download JSON"}
+              </s-button>
+            </div>
+          </s-card>
+        </s-layout-section>
+      </s-layout>
+    </s-page>
+  );
+}
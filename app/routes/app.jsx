@@ -15,6 +15,11 @@ export default function App() {
     <AppProvider embedded apiKey={apiKey}>
       <s-app-nav>
         <s-link href="/app">Dashboard</s-link>
+        <s-link href="/app/analytics">Analytics</s-link>
+        <s-link href="/app/zero-results">Zero Results</s-link>
+        <s-link href="/app/synonyms">Synonyms</s-link>
+        <s-link href="/app/rules">Pinned Rules</s-link>
+        <s-link href="/app/playground">Playground</s-link>
         <s-link href="/app/settings">Settings</s-link>
       </s-app-nav>
       <Outlet />
@@ -0,0 +1,314 @@
+import { Form, useActionData, useNavigation } from "react-router";
+import { authenticate } from "../shopify.server";
+import prisma from "../db.server";
+import { mapQueryToFilters } from "../services/ai-filter.server";
+import { findPinnedRule } from "../services/pinned-rules.server";
+import { loadTaxonomy } from "../services/taxonomy-sync.server";
+import { describeFilter } from "../utils/filterLabels";
+import { buildStorefrontUrl } from "../utils/storefrontUrl";
+
+const MAX_QUERY_LENGTH = 500;
+
+export const loader = async ({ request }) => {
+  await authenticate.admin(request);
+  return null;
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const shop = session.shop;
+
+  const formData = await request.formData();
+  const query = String(formData.get("query") || "").trim();
+  const collectionHandle = String(formData.get("collectionHandle") || "")
+    .trim()
+    .toLowerCase();
+
+  if (!query) {
+    return { error: "Enter a query to test." };
+  }
+  if (query.length > MAX_QUERY_LENGTH) {
+    return { error: `Queries must be under ${MAX_QUERY_LENGTH} characters.` };
+  }
+
+  let shopRecord = await prisma.shop.findUnique({
+    where: { domain: shop },
+  });
+
+  if (!shopRecord) {
+    shopRecord = await prisma.shop.create({
+      data: { domain: shop },
+    });
+  }
+
+  const [synonyms, rule, taxonomy] = await Promise.all([
+    prisma.synonym.findMany({
+      where: { shopId: shopRecord.id },
+      select: { term: true, canonical: true },
+    }),
+    findPinnedRule(shopRecord.id, query),
+    loadTaxonomy(shopRecord, { collectionHandle }),
+  ]);
+
+  // Runs the same pipeline as the storefront, minus cache and analytics
+  const result = await mapQueryToFilters(
+    query,
+    taxonomy,
+    [],
+    collectionHandle,
+    {
+      provider: shopRecord.llmProvider,
+      model: shopRecord.llmModel,
+      synonyms,
+      customInstructions: shopRecord.customInstructions,
+      trace: true,
+    },
+  );
+
+  return {
+    query,
+    collectionHandle,
+    taxonomyScope: taxonomy.scope,
+    result,
+    storefrontUrl: buildStorefrontUrl({
+      shop,
+      collectionHandle,
+      query,
+      filters: result.filters,
+      searchQuery: result.searchQuery,
+    }),
+    pinnedRule: rule
+      ? {
+        filters: rule.filters,
+        storefrontUrl: buildStorefrontUrl({
+          shop,
+          collectionHandle,
+          query,
+          filters: rule.filters,
+          searchQuery: rule.searchQuery,
+        }),
+      }
+      : null,
+  };
+};
+
+export default function Playground() {
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const isSubmitting = navigation.state === "submitting";
+  const result = actionData?.result;
+  const trace = result?.trace;
+
+  // Highlight corrected fields in the final filters
+  const correctedIndexes = new Set((trace?.corrections || []).map((c) => c.index));
+
+  const stages = trace
+    ? [
+      { title: "Raw tool-call arguments", data: trace.rawArgs },
+      { title: "After sanitizeFilters", data: trace.sanitized },
+      { title: "After mergeFilters", data: trace.merged },
+    ]
+    : [];
+
+  return (
+    <s-page title="Query Playground">
+      {actionData?.error && (
+        <s-banner tone="critical">{actionData.error}</s-banner>
+      )}
+
+      <s-layout>
+        <s-layout-section>
+          <s-card>
+            <Form method="post">
+              <div className="aif-field-stack">
+                <h2 className="aif-section-header">Test a query</h2>
+                <p className="aif-helper-text">
+                  Runs a query through the AI Filter with your catalog,
+                  synonyms and instructions, and shows every step. Test queries
+                  skip the cache and are not counted in analytics.
+                </p>
+                <s-text-field
+                  name="query"
+                  label="Customer query"
+                  value={actionData?.query || ""}
+                  placeholder="red running shoes under 100 dollars"
+                ></s-text-field>
+                <s-text-field
+                  name="collectionHandle"
+                  label="Collection handle"
+                  value={actionData?.collectionHandle || ""}
+                  placeholder="all"
+                  details="Optional. Leave empty to test the search page."
+                ></s-text-field>
+              </div>
+              <div className="aif-sticky-footer">
+                <s-button type="submit" variant="primary" disabled={isSubmitting}>
+                  {isSubmitting ? "Running..." : "Run query"}
+                </s-button>
+              </div>
+            </Form>
+          </s-card>
+        </s-layout-section>
+
+        {actionData?.pinnedRule && (
+          <s-layout-section>
+            <s-banner tone="info">
+              A pinned rule matches this query, so on the storefront the rule
+              answers it instead of the AI:{" "}
+              {actionData.pinnedRule.filters.map(describeFilter).join(", ") || "search only"}.{" "}
+              <s-link href={actionData.pinnedRule.storefrontUrl} target="_blank">
+                Open rule result
+              </s-link>
+            </s-banner>
+          </s-layout-section>
+        )}
+
+        {result && (
+          <s-layout-section>
+            <s-card>
+              <s-text variant="headingMd">Result</s-text>
+              <table className="aif-table">
+                <tbody>
+                  <tr>
+                    <td>Answered by</td>
+                    <td>
+                      {result.source === "llm" ? "AI model" : "Fallback parser"} ({result.provider}
+                      {result.model ? ` / ${result.model}` : ""}) in {result.latencyMs}ms
+                    </td>
+                  </tr>
+                  <tr>
+                    <td>Catalog</td>
+                    <td>
+                      {actionData.taxonomyScope === "collection"
+                        ? "This collection's own values"
+                        : "Store-wide values"}
+                    </td>
+                  </tr>
+                  <tr>
+                    <td>Prompt size</td>
+                    <td>
+                      ~{result.promptTokens} tokens
+                      {trace?.taxonomySelection && (
+                        <>
+                          {" "}(catalog values sent:{" "}
+                          {Object.entries(trace.taxonomySelection)
+                            .filter(([, s]) => s.total > 0)
+                            .map(([key, s]) => `${key} ${s.included}/${s.total}`)
+                            .join(", ") || "none"}
+                          )
+                        </>
+                      )}
+                    </td>
+                  </tr>
+                  {trace?.fallbackReason && (
+                    <tr>
+                      <td>Fallback reason</td>
+                      <td>{trace.fallbackReason}</td>
+                    </tr>
+                  )}
+                  <tr>
+                    <td>Explanation</td>
+                    <td>{result.explanation || "—"}</td>
+                  </tr>
+                  <tr>
+                    <td>Search terms</td>
+                    <td>{result.searchQuery || "—"}</td>
+                  </tr>
+                  <tr>
+                    <td>Filters</td>
+                    <td>
+                      {result.filters.length === 0
+                        ? "—"
+                        : result.filters.map((f, i) => (
+                          <span
+                            key={i}
+                            className={correctedIndexes.has(i) ? "aif-correction" : undefined}
+                          >
+                            {i > 0 ? ", " : ""}
+                            {describeFilter(f)}
+                          </span>
+                        ))}
+                    </td>
+                  </tr>
+                  <tr>
+                    <td>Storefront URL</td>
+                    <td>
+                      <s-link href={actionData.storefrontUrl} target="_blank">
+                        {actionData.storefrontUrl}
+                      </s-link>
+                    </td>
+                  </tr>
+                </tbody>
+              </table>
+            </s-card>
+          </s-layout-section>
+        )}
+
+        {trace && (
+          <s-layout-section>
+            <s-card>
+              <s-text variant="headingMd">Pipeline</s-text>
+              <div className="aif-field-stack">
+                {result.source === "fallback" && (
+                  <p className="aif-helper-text">
+                    The model didn&apos;t produce usable output, so the
+                    rule-based fallback parser answered. Post-processing
+                    stages only run on model output.
+                  </p>
+                )}
+                {stages.map((stage) => (
+                  <div key={stage.title}>
+                    <s-text variant="headingSm">{stage.title}</s-text>
+                    <pre className="aif-prompt-preview">
+                      {stage.data === undefined || stage.data === null
+                        ? "—"
+                        : JSON.stringify(stage.data, null, 2)}
+                    </pre>
+                  </div>
+                ))}
+                {trace.corrected && (
+                  <div>
+                    <s-text variant="headingSm">After fuzzyCorrectFilters</s-text>
+                    {trace.corrections.length === 0 ? (
+                      <p className="aif-helper-text">No values were corrected.</p>
+                    ) : (
+                      <table className="aif-table">
+                        <thead>
+                          <tr>
+                            <th>Filter</th>
+                            <th>Field</th>
+                            <th>Model said</th>
+                            <th>Corrected to</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {trace.corrections.map((c) => (
+                            <tr key={`${c.index}-${c.field}`}>
+                              <td>#{c.index + 1}</td>
+                              <td>{c.field}</td>
+                              <td>{c.from}</td>
+                              <td className="aif-correction">{c.to}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    )}
+                    <pre className="aif-prompt-preview">
+                      {JSON.stringify(trace.corrected, null, 2)}
+                    </pre>
+                  </div>
+                )}
+                {trace.messages.map((message) => (
+                  <div key={message.role}>
+                    <s-text variant="headingSm">Prompt: {message.role}</s-text>
+                    <pre className="aif-prompt-preview">{message.content}</pre>
+                  </div>
+                ))}
+              </div>
+            </s-card>
+          </s-layout-section>
+        )}
+      </s-layout>
+    </s-page>
+  );
+}
@@ -0,0 +1,375 @@
+import { Form, useActionData, useLoaderData, useNavigation } from "react-router";
+import { authenticate } from "../shopify.server";
+import prisma from "../db.server";
+import {
+  MATCH_TYPES,
+  buildRuleFilters,
+  ruleFormValues,
+  validateRulePattern,
+} from "../services/pinned-rules.server";
+import { describeFilter } from "../utils/filterLabels";
+
+const MAX_TEXT_LENGTH = 300;
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const shop = session.shop;
+
+  let shopRecord = await prisma.shop.findUnique({
+    where: { domain: shop },
+  });
+
+  if (!shopRecord) {
+    shopRecord = await prisma.shop.create({
+      data: { domain: shop },
+    });
+  }
+
+  const rules = await prisma.pinnedRule.findMany({
+    where: { shopId: shopRecord.id },
+    orderBy: [{ priority: "desc" }, { createdAt: "asc" }],
+  });
+
+  const editId = new URL(request.url).searchParams.get("edit");
+  const editing = rules.find((r) => r.id === editId) || null;
+
+  const parse = (json) => {
+    try {
+      return JSON.parse(json || "[]");
+    } catch {
+      return [];
+    }
+  };
+
+  return {
+    matchTypes: Object.entries(MATCH_TYPES).map(([value, t]) => ({
+      value,
+      label: t.label,
+    })),
+    rules: rules.map((r) => ({
+      id: r.id,
+      matchType: r.matchType,
+      pattern: r.pattern,
+      filters: parse(r.filters),
+      searchQuery: r.searchQuery,
+      explanation: r.explanation,
+      enabled: r.enabled,
+      priority: r.priority,
+    })),
+    editing: editing
+      ? {
+        id: editing.id,
+        matchType: editing.matchType,
+        pattern: editing.pattern,
+        searchQuery: editing.searchQuery,
+        explanation: editing.explanation,
+        enabled: editing.enabled,
+        priority: editing.priority,
+        ...ruleFormValues(parse(editing.filters)),
+      }
+      : null,
+  };
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const shop = session.shop;
+
+  const shopRecord = await prisma.shop.findUnique({
+    where: { domain: shop },
+  });
+  if (!shopRecord) {
+    return { error: "Shop not found." };
+  }
+
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+  const id = String(formData.get("id") || "");
+
+  if (intent === "toggle") {
+    await prisma.pinnedRule.updateMany({
+      where: { id, shopId: shopRecord.id },
+      data: { enabled: formData.get("enabled") === "true" },
+    });
+    return { success: true };
+  }
+
+  if (intent === "delete") {
+    await prisma.pinnedRule.deleteMany({
+      where: { id, shopId: shopRecord.id },
+    });
+    return { success: true };
+  }
+
+  if (intent !== "create" && intent !== "update") {
+    return { error: "Unknown action." };
+  }
+
+  const matchType = String(formData.get("matchType") || "");
+  const pattern = String(formData.get("pattern") || "").trim();
+  const searchQuery = String(formData.get("searchQuery") || "").trim();
+  const explanation = String(formData.get("explanation") || "").trim();
+  const priority = parseInt(formData.get("priority"), 10) || 0;
+
+  const patternError = validateRulePattern(matchType, pattern);
+  if (patternError) {
+    return { error: patternError };
+  }
+  if (searchQuery.length > MAX_TEXT_LENGTH || explanation.length > MAX_TEXT_LENGTH) {
+    return { error: `Search terms and explanation must be under ${MAX_TEXT_LENGTH} characters.` };
+  }
+
+  const { filters, error } = buildRuleFilters(formData);
+  if (error) {
+    return { error };
+  }
+  if (filters.length === 0 && !searchQuery) {
+    return { error: "A rule needs at least one filter or search terms." };
+  }
+
+  const data = {
+    matchType,
+    pattern,
+    filters: JSON.stringify(filters),
+    searchQuery,
+    explanation,
+    priority,
+    enabled: formData.get("enabled") === "true",
+  };
+
+  if (intent === "create") {
+    await prisma.pinnedRule.create({
+      data: { shopId: shopRecord.id, ...data },
+    });
+  } else {
+    await prisma.pinnedRule.updateMany({
+      where: { id, shopId: shopRecord.id },
+      data,
+    });
+  }
+
+  return { success: true };
+};
+
+const EMPTY_RULE = {
+  matchType: "exact",
+  pattern: "",
+  searchQuery: "",
+  explanation: "",
+  enabled: true,
+  priority: 0,
+  productType: "",
+  productVendor: "",
+  tags: "",
+  variantOptions: "",
+  priceMin: "",
+  priceMax: "",
+  available: false,
+};
+
+export default function Rules() {
+  const { matchTypes, rules, editing } = useLoaderData();
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const isSubmitting = navigation.state === "submitting";
+  const matchLabels = Object.fromEntries(matchTypes.map((t) => [t.value, t.label]));
+  // Keyed by rule id below so switching rules resets the uncontrolled fields
+  const values = editing || EMPTY_RULE;
+
+  return (
+    <s-page title="Pinned Rules">
+      {actionData?.error && (
+        <s-banner tone="critical">{actionData.error}</s-banner>
+      )}
+      {actionData?.success && (
+        <s-banner tone="success" dismissible>
+          Rules saved.
+        </s-banner>
+      )}
+
+      <s-layout>
+        <s-layout-section>
+          <s-card>
+            <Form
+              key={editing?.id || "new"}
+              method="post"
+              action="/app/rules"
+            >
+              <input type="hidden" name="intent" value={editing ? "update" : "create"} />
+              {editing && <input type="hidden" name="id" value={editing.id} />}
+              <div className="aif-field-stack">
+                <h2 className="aif-section-header">
+                  {editing ? "Edit rule" : "Add a rule"}
+                </h2>
+                <p className="aif-helper-text">
+                  Pinned rules answer matching queries with a fixed set of filters,
+                  before the cache or the AI model is consulted.
+                </p>
+
+                <div className="aif-inline-form">
+                  <s-select name="matchType" label="Match" value={values.matchType}>
+                    {matchTypes.map((t) => (
+                      <s-option key={t.value} value={t.value}>
+                        {t.label}
+                      </s-option>
+                    ))}
+                  </s-select>
+                  <s-text-field
+                    name="pattern"
+                    label="Query"
+                    value={values.pattern}
+                    placeholder="gift for dad"
+                    details="Matching ignores case and extra spaces. Regular expressions are tested against the lowercased query."
+                  ></s-text-field>
+                </div>
+
+                <h2 className="aif-section-header">Answer</h2>
+                <div className="aif-inline-form">
+                  <s-text-field
+                    name="productType"
+                    label="Product type"
+                    value={values.productType}
+                  ></s-text-field>
+                  <s-text-field
+                    name="productVendor"
+                    label="Vendor"
+                    value={values.productVendor}
+                  ></s-text-field>
+                </div>
+                <s-text-field
+                  name="tags"
+                  label="Tags"
+                  value={values.tags}
+                  placeholder="Gifts, Father's Day"
+                  details="Comma-separated."
+                ></s-text-field>
+                <s-text-area
+                  name="variantOptions"
+                  label="Variant options"
+                  value={values.variantOptions}
+                  placeholder="Color: Brown"
+                  details='One per line, as "Option: Value".'
+                ></s-text-area>
+                <div className="aif-inline-form">
+                  <s-number-field
+                    name="priceMin"
+                    label="Min price"
+                    value={values.priceMin}
+                    min={0}
+                  ></s-number-field>
+                  <s-number-field
+                    name="priceMax"
+                    label="Max price"
+                    value={values.priceMax}
+                    min={0}
+                  ></s-number-field>
+                </div>
+                <s-checkbox
+                  name="available"
+                  label="In stock only"
+                  value="true"
+                  checked={values.available}
+                ></s-checkbox>
+                <s-text-field
+                  name="searchQuery"
+                  label="Search terms"
+                  value={values.searchQuery}
+                  details="Optional text search added to the filters."
+                ></s-text-field>
+                <s-text-field
+                  name="explanation"
+                  label="Explanation"
+                  value={values.explanation}
+                  placeholder="Here are our favourite gifts for dad."
+                  details="Shown to the customer above the results."
+                ></s-text-field>
+
+                <div className="aif-inline-form">
+                  <s-number-field
+                    name="priority"
+                    label="Priority"
+                    value={values.priority}
+                    details="When several rules match, the highest priority wins."
+                  ></s-number-field>
+                  <s-checkbox
+                    name="enabled"
+                    label="Enabled"
+                    value="true"
+                    checked={values.enabled}
+                  ></s-checkbox>
+                </div>
+              </div>
+
+              <div className="aif-sticky-footer">
+                {editing && <s-link href="/app/rules">Cancel</s-link>}
+                <s-button type="submit" variant="primary" disabled={isSubmitting}>
+                  {editing ? "Save rule" : "Add rule"}
+                </s-button>
+              </div>
+            </Form>
+          </s-card>
+        </s-layout-section>
+
+        <s-layout-section>
+          <s-card>
+            <s-text variant="headingMd">Rules</s-text>
+            {rules.length === 0 ? (
+              <s-text tone="subdued">No rules yet.</s-text>
+            ) : (
+              <table className="aif-table">
+                <thead>
+                  <tr>
+                    <th>Match</th>
+                    <th>Query</th>
+                    <th>Answer</th>
+                    <th>Priority</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rules.map((r) => (
+                    <tr key={r.id}>
+                      <td>{matchLabels[r.matchType] || r.matchType}</td>
+                      <td>{r.pattern}</td>
+                      <td>
+                        {[
+                          ...r.filters.map(describeFilter),
+                          ...(r.searchQuery ? [`Search: "${r.searchQuery}"`] : []),
+                        ].join(", ")}
+                      </td>
+                      <td>{r.priority}</td>
+                      <td>
+                        <div className="aif-row-actions">
+                          <s-link href={`/app/rules?edit=${r.id}`}>Edit</s-link>
+                          <Form method="post">
+                            <input type="hidden" name="intent" value="toggle" />
+                            <input type="hidden" name="id" value={r.id} />
+                            <input
+                              type="hidden"
+                              name="enabled"
+                              value={r.enabled ? "false" : "true"}
+                            />
+                            <s-button type="submit" disabled={isSubmitting}>
+                              {r.enabled ? "Disable" : "Enable"}
+                            </s-button>
+                          </Form>
+                          <Form method="post">
+                            <input type="hidden" name="intent" value="delete" />
+                            <input type="hidden" name="id" value={r.id} />
+                            <s-button type="submit" tone="critical" disabled={isSubmitting}>
+                              Delete
+                            </s-button>
+                          </Form>
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </s-card>
+        </s-layout-section>
+      </s-layout>
+    </s-page>
+  );
+}
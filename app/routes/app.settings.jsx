@@ -1,6 +1,21 @@
-import { Form, useActionData, useLoaderData, useNavigation } from "react-router";
+import { useRef } from "react";
+import {
+  Form,
+  useActionData,
+  useFetcher,
+  useLoaderData,
+  useNavigation,
+} from "react-router";
 import { authenticate } from "../shopify.server";
 import prisma from "../db.server";
+import { DEFAULT_PROVIDER, PROVIDERS, listProviders, resolveProvider } from "../services/llm-providers.server";
+import { MAX_CUSTOM_INSTRUCTIONS, buildPromptMessages } from "../services/ai-filter.server";
+import { loadTaxonomy } from "../services/taxonomy-sync.server";
+import { OVER_QUOTA_BEHAVIORS, getUsage } from "../services/usage.server";
+import { MAX_CACHE_TTL_HOURS, cacheFlushShop } from "../utils/queryCache.server";
+
+const MAX_VISITOR_PER_MINUTE = 60;
+const MAX_VISITOR_PER_HOUR = 1000;
 
 export const loader = async ({ request }) => {
   const { session } = await authenticate.admin(request);
@@ -19,6 +34,20 @@ export const loader = async ({ request }) => {
   return {
     enabled: shopRecord.enabled,
     queryCount: shopRecord.queryCount,
+    llmProvider: shopRecord.llmProvider || "",
+    llmModel: shopRecord.llmModel || "",
+    customInstructions: shopRecord.customInstructions || "",
+    resultPreflight: shopRecord.resultPreflight,
+    overQuotaBehavior: shopRecord.overQuotaBehavior,
+    visitorRequestsPerMinute: shopRecord.visitorRequestsPerMinute,
+    visitorRequestsPerHour: shopRecord.visitorRequestsPerHour,
+    cacheTtlHours: shopRecord.cacheTtlHours,
+    overQuotaBehaviors: OVER_QUOTA_BEHAVIORS,
+    usage: await getUsage(shopRecord),
+    maxCustomInstructions: MAX_CUSTOM_INSTRUCTIONS,
+    maxCacheTtlHours: MAX_CACHE_TTL_HOURS,
+    providers: listProviders(),
+    defaultProvider: DEFAULT_PROVIDER,
   };
 };
 
@@ -27,25 +56,178 @@ export const action = async ({ request }) => {
   const shop = session.shop;
 
   const formData = await request.formData();
+  const customInstructions = String(formData.get("customInstructions") || "").trim();
+
+  if (customInstructions.length > MAX_CUSTOM_INSTRUCTIONS) {
+    return {
+      error: `Custom instructions must be under ${MAX_CUSTOM_INSTRUCTIONS} characters (currently ${customInstructions.length}).`,
+    };
+  }
+
+  if (formData.get("intent") === "preview") {
+    return previewPrompt(shop, customInstructions, String(formData.get("sampleQuery") || ""));
+  }
+
+  const visitorRequestsPerMinute = parseInt(formData.get("visitorRequestsPerMinute"), 10);
+  const visitorRequestsPerHour = parseInt(formData.get("visitorRequestsPerHour"), 10);
+  if (
+    !(visitorRequestsPerMinute >= 1 && visitorRequestsPerMinute <= MAX_VISITOR_PER_MINUTE) ||
+    !(visitorRequestsPerHour >= 1 && visitorRequestsPerHour <= MAX_VISITOR_PER_HOUR)
+  ) {
+    return {
+      error: `Per-shopper limits must be 1–${MAX_VISITOR_PER_MINUTE} per minute and 1–${MAX_VISITOR_PER_HOUR} per hour.`,
+    };
+  }
+
+  const cacheTtlHours = parseInt(formData.get("cacheTtlHours"), 10);
+  if (!(cacheTtlHours >= 0 && cacheTtlHours <= MAX_CACHE_TTL_HOURS)) {
+    return { error: `Keep answers for 0–${MAX_CACHE_TTL_HOURS} hours.` };
+  }
+
   const enabled = formData.get("enabled") === "true";
+  const resultPreflight = formData.get("resultPreflight") === "true";
+  const behaviorInput = String(formData.get("overQuotaBehavior") || "");
+  const overQuotaBehavior = OVER_QUOTA_BEHAVIORS[behaviorInput] ? behaviorInput : "search";
+
+  // Empty provider/model means "use the app default"
+  const providerInput = String(formData.get("llmProvider") || "");
+  const llmProvider = PROVIDERS[providerInput] ? providerInput : null;
+  const llmModel = String(formData.get("llmModel") || "").trim() || null;
+
+  const { provider: modelProvider } = resolveProvider({ llmProvider });
+  if (llmModel && !modelProvider.models.includes(llmModel)) {
+    return {
+      error: `${llmModel} isn't available with ${modelProvider.label}. Pick one of its listed models.`,
+    };
+  }
+
+  const previous = await prisma.shop.findUnique({
+    where: { domain: shop },
+    select: { customInstructions: true, cacheTtlHours: true, llmProvider: true, llmModel: true },
+  });
 
   await prisma.shop.upsert({
     where: { domain: shop },
-    update: { enabled },
-    create: { domain: shop, enabled },
+    update: {
+      enabled,
+      resultPreflight,
+      overQuotaBehavior,
+      visitorRequestsPerMinute,
+      visitorRequestsPerHour,
+      cacheTtlHours,
+      llmProvider,
+      llmModel,
+      customInstructions: customInstructions || null,
+    },
+    create: {
+      domain: shop,
+      enabled,
+      resultPreflight,
+      overQuotaBehavior,
+      visitorRequestsPerMinute,
+      visitorRequestsPerHour,
+      cacheTtlHours,
+      llmProvider,
+      llmModel,
+      customInstructions: customInstructions || null,
+    },
   });
 
+  // Cached answers were built with the old instructions or model, or stored with the old lifetime
+  if (
+    (previous?.customInstructions || "") !== customInstructions ||
+    (previous && previous.cacheTtlHours !== cacheTtlHours) ||
+    (previous?.llmProvider || null) !== llmProvider ||
+    (previous?.llmModel || null) !== llmModel
+  ) {
+    await cacheFlushShop(shop);
+  }
+
   return { success: true };
 };
 
+/**
+ * Build the exact messages the LLM would receive for a sample query, using
+ * the (possibly unsaved) instructions from the form.
+ * @param {string} shop
+ * @param {string} customInstructions
+ * @param {string} sampleQuery
+ * @returns {Promise<{ preview: { role: string, content: string }[] }>}
+ */
+async function previewPrompt(shop, customInstructions, sampleQuery) {
+  const shopRecord = await prisma.shop.findUnique({ where: { domain: shop } });
+  const synonyms = shopRecord
+    ? await prisma.synonym.findMany({
+      where: { shopId: shopRecord.id },
+      select: { term: true, canonical: true },
+    })
+    : [];
+
+  const messages = buildPromptMessages(
+    sampleQuery.trim().slice(0, 500) || "red shoes under 100 dollars",
+    shopRecord ? await loadTaxonomy(shopRecord) : null,
+    [],
+    "",
+    { synonyms, customInstructions },
+  );
+
+  return { preview: messages };
+}
+
 export default function Settings() {
-  const { enabled, queryCount } = useLoaderData();
+  const {
+    enabled,
+    queryCount,
+    llmProvider,
+    llmModel,
+    customInstructions,
+    resultPreflight,
+    overQuotaBehavior,
+    visitorRequestsPerMinute,
+    visitorRequestsPerHour,
+    cacheTtlHours,
+    overQuotaBehaviors,
+    usage,
+    maxCustomInstructions,
+    maxCacheTtlHours,
+    providers,
+    defaultProvider,
+  } = useLoaderData();
   const actionData = useActionData();
   const navigation = useNavigation();
   const isSubmitting = navigation.state === "submitting";
+  const formRef = useRef(null);
+  const previewFetcher = useFetcher();
+  const preview = previewFetcher.data?.preview;
+
+  // Preview uses whatever is in the form right now, saved or not
+  const handlePreview = () => {
+    const formData = new FormData(formRef.current);
+    formData.set("intent", "preview");
+    previewFetcher.submit(formData, { method: "post" });
+  };
 
   return (
     <s-page title="Settings">
+      {(actionData?.error || previewFetcher.data?.error) && (
+        <s-banner tone="critical">
+          {actionData?.error || previewFetcher.data?.error}
+        </s-banner>
+      )}
+      {usage.exhausted ? (
+        <s-banner tone="critical">
+          You have used all {usage.quota.toLocaleString()} AI queries in your{" "}
+          {usage.plan.label} plan this month.{" "}
+          {overQuotaBehavior === "block"
+            ? "AI search is off until next month."
+            : "Customers get plain store search until next month."}
+        </s-banner>
+      ) : usage.warning && (
+        <s-banner tone="warning">
+          You have used {usage.percent}% of this month&apos;s{" "}
+          {usage.quota.toLocaleString()} AI queries.
+        </s-banner>
+      )}
       {actionData?.success && (
         <s-banner tone="success" dismissible>
           Settings saved successfully.
@@ -55,7 +237,7 @@ export default function Settings() {
       <s-layout>
         <s-layout-section>
           <s-card>
-            <Form method="post">
+            <Form method="post" ref={formRef}>
               <div className="aif-field-stack">
                 <h2 className="aif-section-header">AI Filter Settings</h2>
 
@@ -69,9 +251,161 @@ export default function Settings() {
                   products on collection pages.
                 </s-checkbox>
 
+                <s-checkbox
+                  name="resultPreflight"
+                  label="Check result counts before responding"
+                  checked={resultPreflight}
+                  value="true"
+                >
+                  Counts the matching products through the Storefront API and
+                  removes filters until something matches before the customer
+                  sees the result. Works with every theme, at the cost of one to
+                  three extra API calls per query.
+                </s-checkbox>
+
                 <p className="aif-helper-text">
                   Total AI queries processed: {queryCount.toLocaleString()}
                 </p>
+
+                <h2 className="aif-section-header">Plan & Usage</h2>
+
+                <p>
+                  {usage.plan.label} plan: {usage.aiQueries.toLocaleString()}
+                  {usage.quota === null
+                    ? " AI queries this month, with no monthly limit."
+                    : ` of ${usage.quota.toLocaleString()} AI queries used this month (${usage.percent}%).`}
+                </p>
+                <p className="aif-helper-text">
+                  {usage.cachedQueries.toLocaleString()} more answered from the
+                  cache or pinned rules, which don&apos;t count toward the limit.
+                  Usage resets on the first of each month (UTC).
+                </p>
+
+                <s-select
+                  name="overQuotaBehavior"
+                  label="When the monthly limit is reached"
+                  value={overQuotaBehavior}
+                >
+                  {Object.entries(overQuotaBehaviors).map(([id, label]) => (
+                    <s-option key={id} value={id}>
+                      {label}
+                    </s-option>
+                  ))}
+                </s-select>
+
+                <div className="aif-inline-form">
+                  <s-number-field
+                    name="visitorRequestsPerMinute"
+                    label="Searches per shopper per minute"
+                    value={visitorRequestsPerMinute}
+                    min={1}
+                    max={MAX_VISITOR_PER_MINUTE}
+                  ></s-number-field>
+                  <s-number-field
+                    name="visitorRequestsPerHour"
+                    label="Searches per shopper per hour"
+                    value={visitorRequestsPerHour}
+                    min={1}
+                    max={MAX_VISITOR_PER_HOUR}
+                  ></s-number-field>
+                </div>
+                <p className="aif-helper-text">
+                  Keeps one busy shopper or a bot from using up your store&apos;s
+                  limit of {usage.plan.requestsPerMinute} AI searches per minute.
+                  Shoppers are told how long to wait.
+                </p>
+
+                <s-number-field
+                  name="cacheTtlHours"
+                  label="Keep cached answers for (hours)"
+                  value={cacheTtlHours}
+                  min={0}
+                  max={maxCacheTtlHours}
+                ></s-number-field>
+                <p className="aif-helper-text">
+                  Answers are also saved in the app database, so popular
+                  questions stay answered across restarts without using AI
+                  queries. They are cleared whenever your catalog data changes.
+                  Set to 0 to keep answers for 30 minutes only.
+                </p>
+
+                <h2 className="aif-section-header">AI Model</h2>
+
+                <s-select
+                  name="llmProvider"
+                  label="Provider"
+                  value={llmProvider}
+                >
+                  <s-option value="">
+                    App default ({providers.find((p) => p.id === defaultProvider)?.label || defaultProvider})
+                  </s-option>
+                  {providers.map((p) => (
+                    <s-option key={p.id} value={p.id} disabled={!p.configured}>
+                      {p.label}
+                      {p.configured ? "" : " (not configured)"}
+                    </s-option>
+                  ))}
+                </s-select>
+
+                <s-select
+                  name="llmModel"
+                  label="Model"
+                  value={llmModel}
+                  details="The model has to belong to the provider selected above."
+                >
+                  <s-option value="">Provider default</s-option>
+                  {providers.map((p) => (
+                    <s-option-group key={p.id} label={p.label}>
+                      {p.models.map((model) => (
+                        <s-option key={model} value={model}>
+                          {model}
+                        </s-option>
+                      ))}
+                    </s-option-group>
+                  ))}
+                </s-select>
+
+                <h2 className="aif-section-header">Custom Instructions</h2>
+
+                <s-text-area
+                  name="customInstructions"
+                  label="Instructions for the AI"
+                  value={customInstructions}
+                  maxLength={maxCustomInstructions}
+                  rows={6}
+                  placeholder={"Sizes are EU shoe sizes.\n'Vegan' always means the tag Vegan."}
+                  details={`Added to the AI's instructions for every query in your store. Up to ${maxCustomInstructions} characters.`}
+                ></s-text-area>
+
+                <div className="aif-inline-form">
+                  <s-text-field
+                    name="sampleQuery"
+                    label="Sample query"
+                    placeholder="red shoes under 100 dollars"
+                  ></s-text-field>
+                  <s-button
+                    onClick={handlePreview}
+                    disabled={previewFetcher.state !== "idle"}
+                  >
+                    {previewFetcher.state !== "idle" ? "Building..." : "Preview prompt"}
+                  </s-button>
+                </div>
+
+                {preview && (
+                  <div className="aif-field-stack">
+                    <p className="aif-helper-text">
+                      Exact prompt sent for this query. On the storefront the
+                      user message also lists the filters available on the
+                      current collection page.
+                    </p>
+                    {preview.map((message) => (
+                      <div key={message.role}>
+                        <s-text variant="headingSm">{message.role}</s-text>
+                        <pre className="aif-prompt-preview">{message.content}</pre>
+                      </div>
+                    ))}
+                  </div>
+                )}
               </div>
 
               <div className="aif-sticky-footer">
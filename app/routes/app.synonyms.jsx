@@ -0,0 +1,199 @@
+import { Form, useActionData, useLoaderData, useNavigation } from "react-router";
+import { authenticate } from "../shopify.server";
+import prisma from "../db.server";
+import { loadTaxonomy } from "../services/taxonomy-sync.server";
+import { cacheFlushShop } from "../utils/queryCache.server";
+
+const MAX_LENGTH = 100;
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const shop = session.shop;
+
+  let shopRecord = await prisma.shop.findUnique({
+    where: { domain: shop },
+  });
+
+  if (!shopRecord) {
+    shopRecord = await prisma.shop.create({
+      data: { domain: shop },
+    });
+  }
+
+  const synonyms = await prisma.synonym.findMany({
+    where: { shopId: shopRecord.id },
+    orderBy: { term: "asc" },
+    select: { id: true, term: true, canonical: true },
+  });
+
+  // Every catalog value a synonym can point at, to flag synonyms that won't resolve
+  const taxonomy = await loadTaxonomy(shopRecord);
+  const catalogValues = [
+    ...new Set([
+      ...taxonomy.productTypes,
+      ...taxonomy.vendors,
+      ...taxonomy.tags,
+      ...taxonomy.variantOptions.flatMap((o) => o.values),
+    ]),
+  ].sort((a, b) => a.localeCompare(b));
+
+  return { synonyms, catalogValues };
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const shop = session.shop;
+
+  const shopRecord = await prisma.shop.findUnique({
+    where: { domain: shop },
+  });
+  if (!shopRecord) {
+    return { error: "Shop not found." };
+  }
+
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+  const id = String(formData.get("id") || "");
+  const term = String(formData.get("term") || "").toLowerCase().trim();
+  const canonical = String(formData.get("canonical") || "").trim();
+
+  if (intent === "create" || intent === "update") {
+    if (!term || !canonical) {
+      return { error: "Both the customer term and the catalog value are required." };
+    }
+    if (term.length > MAX_LENGTH || canonical.length > MAX_LENGTH) {
+      return { error: `Terms and values must be under ${MAX_LENGTH} characters.` };
+    }
+  }
+
+  try {
+    if (intent === "create") {
+      await prisma.synonym.create({
+        data: { shopId: shopRecord.id, term, canonical },
+      });
+    } else if (intent === "update") {
+      await prisma.synonym.updateMany({
+        where: { id, shopId: shopRecord.id },
+        data: { term, canonical },
+      });
+    } else if (intent === "delete") {
+      await prisma.synonym.deleteMany({
+        where: { id, shopId: shopRecord.id },
+      });
+    } else {
+      return { error: "Unknown action." };
+    }
+  } catch (error) {
+    if (error.code === "P2002") {
+      return { error: `A synonym for "${term}" already exists.` };
+    }
+    throw error;
+  }
+
+  // Cached answers were built with the old dictionary
+  await cacheFlushShop(shop);
+
+  return { success: true };
+};
+
+export default function Synonyms() {
+  const { synonyms, catalogValues } = useLoaderData();
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const isSubmitting = navigation.state === "submitting";
+  const catalogSet = new Set(catalogValues.map((v) => v.toLowerCase()));
+
+  return (
+    <s-page title="Synonyms">
+      {actionData?.error && (
+        <s-banner tone="critical">{actionData.error}</s-banner>
+      )}
+      {actionData?.success && (
+        <s-banner tone="success" dismissible>
+          Synonyms saved.
+        </s-banner>
+      )}
+
+      <s-layout>
+        <s-layout-section>
+          <s-card>
+            <Form method="post">
+              <input type="hidden" name="intent" value="create" />
+              <div className="aif-field-stack">
+                <h2 className="aif-section-header">Add a synonym</h2>
+                <p className="aif-helper-text">
+                  Teach the AI Filter your store&apos;s vocabulary. When a
+                  customer says the term, it is mapped to the catalog value —
+                  e.g. &quot;kicks&quot; → &quot;Sneakers&quot; or
+                  &quot;navy&quot; → &quot;Blue&quot;.
+                </p>
+                <s-text-field
+                  name="term"
+                  label="Customer term"
+                  placeholder="kicks"
+                ></s-text-field>
+                <s-text-field
+                  name="canonical"
+                  label="Catalog value"
+                  placeholder="Sneakers"
+                  details="Use a product type, vendor, tag or option value exactly as it appears in your catalog."
+                ></s-text-field>
+              </div>
+              <div className="aif-sticky-footer">
+                <s-button type="submit" variant="primary" disabled={isSubmitting}>
+                  Add synonym
+                </s-button>
+              </div>
+            </Form>
+          </s-card>
+        </s-layout-section>
+
+        <s-layout-section>
+          <s-card>
+            <s-text variant="headingMd">Synonyms</s-text>
+            {synonyms.length === 0 ? (
+              <s-text tone="subdued">No synonyms yet.</s-text>
+            ) : (
+              <div className="aif-field-stack">
+                {synonyms.map((s) => (
+                  <div key={s.id} className="aif-inline-row">
+                    <Form method="post" className="aif-inline-form">
+                      <input type="hidden" name="intent" value="update" />
+                      <input type="hidden" name="id" value={s.id} />
+                      <s-text-field
+                        name="term"
+                        label="Customer term"
+                        value={s.term}
+                      ></s-text-field>
+                      <s-text-field
+                        name="canonical"
+                        label="Catalog value"
+                        value={s.canonical}
+                        error={
+                          catalogValues.length > 0 &&
+                          !catalogSet.has(s.canonical.toLowerCase())
+                            ? "Not in the synced catalog"
+                            : undefined
+                        }
+                      ></s-text-field>
+                      <s-button type="submit" disabled={isSubmitting}>
+                        Save
+                      </s-button>
+                    </Form>
+                    <Form method="post">
+                      <input type="hidden" name="intent" value="delete" />
+                      <input type="hidden" name="id" value={s.id} />
+                      <s-button type="submit" tone="critical" disabled={isSubmitting}>
+                        Delete
+                      </s-button>
+                    </Form>
+                  </div>
+                ))}
+              </div>
+            )}
+          </s-card>
+        </s-layout-section>
+      </s-layout>
+    </s-page>
+  );
+}
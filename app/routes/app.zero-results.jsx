@@ -0,0 +1,144 @@
+import { useLoaderData } from "react-router";
+import { authenticate } from "../shopify.server";
+import prisma from "../db.server";
+import { describeFilter } from "../utils/filterLabels";
+
+const MAX_GROUPS = 50;
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const shop = session.shop;
+
+  let shopRecord = await prisma.shop.findUnique({
+    where: { domain: shop },
+  });
+
+  if (!shopRecord) {
+    shopRecord = await prisma.shop.create({
+      data: { domain: shop },
+    });
+  }
+
+  // A query "found nothing" if the AI returned no filters, or the storefront reported 0 products
+  const nothingFound = {
+    shopId: shopRecord.id,
+    OR: [{ filtersReturned: "[]" }, { productCount: 0 }],
+  };
+
+  const groups = await prisma.aiFilterQuery.groupBy({
+    by: ["normalizedQuery"],
+    where: nothingFound,
+    _count: { _all: true },
+    _max: { createdAt: true },
+    orderBy: { _count: { normalizedQuery: "desc" } },
+    take: MAX_GROUPS,
+  });
+
+  // Latest attempt per query, to show what the AI tried
+  const attempts = groups.length > 0
+    ? await prisma.aiFilterQuery.findMany({
+      where: {
+        ...nothingFound,
+        normalizedQuery: { in: groups.map((g) => g.normalizedQuery) },
+      },
+      orderBy: { createdAt: "desc" },
+      select: {
+        normalizedQuery: true,
+        filtersReturned: true,
+        productCount: true,
+        relaxed: true,
+      },
+    })
+    : [];
+
+  const latestByQuery = new Map();
+  for (const attempt of attempts) {
+    if (!latestByQuery.has(attempt.normalizedQuery)) {
+      latestByQuery.set(attempt.normalizedQuery, attempt);
+    }
+  }
+
+  const totalNothingFound = await prisma.aiFilterQuery.count({ where: nothingFound });
+
+  return {
+    totalNothingFound,
+    queries: groups.map((g) => {
+      const latest = latestByQuery.get(g.normalizedQuery);
+      let filters = [];
+      try {
+        filters = JSON.parse(latest?.filtersReturned || "[]");
+      } catch {
+        // ignore
+      }
+      return {
+        query: g.normalizedQuery,
+        count: g._count._all,
+        lastSeen: g._max.createdAt?.toISOString() || null,
+        filters,
+        reason: filters.length === 0 ? "No filters matched" : "0 products",
+        relaxed: latest?.relaxed || false,
+      };
+    }),
+  };
+};
+
+export default function ZeroResults() {
+  const { totalNothingFound, queries } = useLoaderData();
+
+  return (
+    <s-page title="Queries That Found Nothing">
+      <s-layout>
+        <s-layout-section>
+          <s-card>
+            <s-text variant="headingMd">Zero-result queries</s-text>
+            <p className="aif-helper-text">
+              Customer searches where the AI couldn&apos;t map the query to any
+              filter, or where the filtered collection showed no products.
+              Frequent entries usually point to missing products, missing tags
+              or vocabulary your catalog doesn&apos;t use.
+              {totalNothingFound > 0 &&
+                ` ${totalNothingFound.toLocaleString()} searches in total.`}
+            </p>
+            {queries.length === 0 ? (
+              <s-text tone="subdued">
+                No zero-result queries yet.
+              </s-text>
+            ) : (
+              <table className="aif-table">
+                <thead>
+                  <tr>
+                    <th>Query</th>
+                    <th>Count</th>
+                    <th>Last seen</th>
+                    <th>Outcome</th>
+                    <th>Filters tried</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {queries.map((q) => (
+                    <tr key={q.query}>
+                      <td>{q.query}</td>
+                      <td>{q.count}</td>
+                      <td>
+                        {q.lastSeen ? new Date(q.lastSeen).toLocaleString() : "—"}
+                      </td>
+                      <td>
+                        {q.reason}
+                        {q.relaxed ? " (after relaxing)" : ""}
+                      </td>
+                      <td>
+                        {q.filters.length === 0
+                          ? "—"
+                          : q.filters.map(describeFilter).join(", ")}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </s-card>
+        </s-layout-section>
+      </s-layout>
+    </s-page>
+  );
+}
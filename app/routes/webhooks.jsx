@@ -1,5 +1,7 @@
 import db from "../db.server";
 import { authenticate } from "../shopify.server";
+import { applyProductChange } from "../services/catalog-snapshot.server";
+import { scheduleCollectionTaxonomyRefresh } from "../services/taxonomy-sync.server";
 
 export const action = async ({ request }) => {
   const { shop, topic, payload, session } =
@@ -27,7 +29,7 @@ export const action = async ({ request }) => {
     case "PRODUCTS_CREATE":
     case "PRODUCTS_UPDATE":
     case "PRODUCTS_DELETE":
-      await handleProductChange(shop);
+      await handleProductChange(shop, topic, payload);
       break;
 
     default:
@@ -37,20 +39,16 @@ export const action = async ({ request }) => {
   throw new Response();
 };
 
-async function handleProductChange(shop) {
+async function handleProductChange(shop, topic, payload) {
   if (!shop) return;
 
   try {
-    const shopRecord = await db.shop.findUnique({ where: { domain: shop } });
-    if (shopRecord) {
-      await db.shop.update({
-        where: { domain: shop },
-        data: { taxonomySyncedAt: null },
-      });
-      console.log(`[Webhook] Invalidated taxonomy for ${shop}`);
+    if (await applyProductChange(shop, topic, payload)) {
+      // Rebuilt in the background once the burst of webhooks settles
+      scheduleCollectionTaxonomyRefresh(shop);
     }
   } catch (error) {
-    console.error(`[Webhook] Error invalidating taxonomy for ${shop}:`, error);
+    console.error(`[Webhook] Error updating taxonomy for ${shop}:`, error);
   }
 }
 
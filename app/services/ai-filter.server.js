@@ -1,11 +1,15 @@
-import { fuzzyCorrectFilters } from "../utils/fuzzyMatch.js";
+import { fuzzyCorrectFilters, selectPromptTaxonomy } from "../utils/fuzzyMatch.js";
+import { resolveProvider } from "./llm-providers.server.js";
+import { parseQueryLocally } from "./fallback-parser.server.js";
 
-const OPENROUTER_API_KEY = process.env.OPENROUTER_API_KEY;
 const LLM_TIMEOUT_MS = 8000;
+const MAX_TOKENS = 256;
+
+export const MAX_CUSTOM_INSTRUCTIONS = 2000;
 
 const SYSTEM_PROMPT = `You map customer shopping queries to Shopify product filters using the apply_filters tool.
 
-Filter types: productType, productVendor, tag, available (true/false), price ({min,max}), variantOption ({name,value}).
+Filter types: productType, productVendor, tag, available (true/false), price ({min,max}), variantOption ({name,value}), metafield ({param,value}) for the store's custom filters.
 
 STRICT RULES:
 1. ONLY use values that EXACTLY match the store catalog when provided. Never invent filter values.
@@ -14,7 +18,9 @@ STRICT RULES:
 4. Use searchQuery for descriptive terms that don't map to any filter (e.g. "cozy", "lightweight", "summer").
 5. Capitalize filter values: "green" → "Green", "shorts" → "Shorts".
 6. Explanation: 1 friendly sentence.
-7. If no filters match at all, set filters to [] and put the full query in searchQuery.`;
+7. Only use metafield filters listed under "Custom filters" in the catalog, with their exact param and one of their values.
+8. If no filters match at all, set filters to [] and put the full query in searchQuery.
+9. If CURRENTLY APPLIED FILTERS are listed, decide whether the customer is refining them (mode "refine", e.g. "make it cheaper", "only in blue") or starting a new search (mode "new"). In refine mode, filters holds only what to add or change — a new productType, productVendor, price, available, same-named variantOption or same-param metafield replaces the current one — and removeFilters lists applied filters to drop. For relative requests ("cheaper", "bigger budget") derive the new price from the applied price or the catalog price range.`;
 
 const TOOL_DEFINITION = {
   type: "function",
@@ -64,9 +70,28 @@ const TOOL_DEFINITION = {
                 },
                 required: ["name", "value"],
               },
+              metafield: {
+                type: "object",
+                description: 'Custom filter from the catalog, e.g. {param:"filter.p.m.custom.material",value:"Cotton"}',
+                properties: {
+                  param: { type: "string" },
+                  value: { type: "string" },
+                },
+                required: ["param", "value"],
+              },
             },
           },
         },
+        mode: {
+          type: "string",
+          enum: ["new", "refine"],
+          description: "\"refine\" to adjust the currently applied filters, \"new\" to start over. Always \"new\" when no filters are applied.",
+        },
+        removeFilters: {
+          type: "array",
+          description: "Refine mode only: applied filters to drop, in the same shape as filters. Leave out the value to drop every filter of that type, e.g. {tag:\"Sale\"}, {variantOption:{name:\"Color\"}}, {metafield:{param:\"filter.p.m.custom.material\"}}, {price:{}}.",
+          items: { type: "object" },
+        },
         searchQuery: {
           type: "string",
           description: "Text search terms for Shopify search. Use for descriptive terms that don't map to any filter (e.g. 'cozy', 'lightweight'). Leave empty if all terms map to filters.",
@@ -82,7 +107,8 @@ const TOOL_DEFINITION = {
 };
 
 /**
- * Sanitize filter values — ensure price is numeric, swap min/max if needed, remove empties.
+ * Sanitize filter values — ensure price is numeric, swap min/max if needed, drop
+ * incomplete metafields, remove empties.
  * @param {Array} filters
  * @param {object|null} taxonomyContext
  * @returns {Array}
@@ -115,6 +141,15 @@ function sanitizeFilters(filters, taxonomyContext) {
         }
       }
 
+      if (cleaned.metafield !== undefined) {
+        const { param, value } = cleaned.metafield || {};
+        if (typeof param !== "string" || !param.trim() || value === undefined || value === null || value === "") {
+          delete cleaned.metafield;
+        } else {
+          cleaned.metafield = { param: param.trim(), value: String(value) };
+        }
+      }
+
       return cleaned;
     })
     .filter((f) => {
@@ -167,6 +202,165 @@ function mergeFilters(filters) {
   return nonPriceFilters;
 }
 
+const MAX_HISTORY_TURNS = 5;
+const MAX_CURRENT_FILTERS = 20;
+
+// Storefront filter param of a metafield filter, e.g. filter.p.m.custom.material
+const METAFIELD_PARAM = /^filter\.[pv]\.m\.[\w-]+\.[\w-]+$/;
+
+// Filter types that can only appear once; a refinement replaces them
+const SINGLE_VALUE_TYPES = ["productType", "productVendor", "price", "available"];
+
+/**
+ * Validate the conversation context sent by the storefront widget.
+ * Only well-formed filter objects and short query strings survive.
+ * @param {unknown} history - [{ query, explanation }], oldest first
+ * @param {unknown} currentFilters - Filters currently applied on the page
+ * @returns {{ history: {query: string, explanation: string}[], currentFilters: Array }|null} null when there is no usable context
+ */
+export function normalizeConversation(history, currentFilters) {
+  const turns = (Array.isArray(history) ? history : [])
+    .filter((t) => t && typeof t.query === "string" && t.query.trim())
+    .slice(-MAX_HISTORY_TURNS)
+    .map((t) => ({
+      query: t.query.trim().slice(0, 500),
+      explanation: typeof t.explanation === "string" ? t.explanation.slice(0, 300) : "",
+    }));
+
+  const isText = (v) => typeof v === "string" && v.trim().length > 0 && v.length <= 200;
+  const filters = (Array.isArray(currentFilters) ? currentFilters : [])
+    .slice(0, MAX_CURRENT_FILTERS)
+    .map((f) => {
+      if (!f || typeof f !== "object") return null;
+      if (isText(f.productType)) return { productType: f.productType };
+      if (isText(f.productVendor)) return { productVendor: f.productVendor };
+      if (isText(f.tag)) return { tag: f.tag };
+      if (typeof f.available === "boolean") return { available: f.available };
+      if (f.variantOption && isText(f.variantOption.name) && isText(f.variantOption.value)) {
+        return { variantOption: { name: f.variantOption.name, value: f.variantOption.value } };
+      }
+      if (f.metafield && METAFIELD_PARAM.test(f.metafield.param) && isText(f.metafield.value)) {
+        const metafield = { param: f.metafield.param, value: f.metafield.value };
+        if (isText(f.metafield.name)) metafield.name = f.metafield.name;
+        if (isText(f.metafield.label)) metafield.label = f.metafield.label;
+        return { metafield };
+      }
+      if (f.price && typeof f.price === "object") {
+        const price = {};
+        if (Number.isFinite(f.price.min)) price.min = f.price.min;
+        if (Number.isFinite(f.price.max)) price.max = f.price.max;
+        return Object.keys(price).length > 0 ? { price } : null;
+      }
+      return null;
+    })
+    .filter(Boolean);
+
+  if (turns.length === 0 && filters.length === 0) return null;
+  return { history: turns, currentFilters: filters };
+}
+
+/**
+ * Check whether an applied filter is targeted by a removeFilters entry.
+ * A removal without a value matches every filter of its type.
+ * @param {object} filter
+ * @param {object} removal
+ * @returns {boolean}
+ */
+function matchesRemoval(filter, removal) {
+  const type = Object.keys(removal || {})[0];
+  if (!type || filter[type] === undefined) return false;
+
+  const same = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+  const target = removal[type];
+
+  if (type === "variantOption") {
+    if (target?.name && !same(target.name, filter.variantOption.name)) return false;
+    if (target?.value && !same(target.value, filter.variantOption.value)) return false;
+    return true;
+  }
+  if (type === "metafield") {
+    if (target?.param && target.param !== filter.metafield.param) return false;
+    if (target?.value && !same(target.value, filter.metafield.value) && !same(target.value, filter.metafield.label || "")) return false;
+    return true;
+  }
+  if (type === "price" || type === "available") return true;
+
+  return typeof target === "string" && target.trim() ? same(target, filter[type]) : true;
+}
+
+/**
+ * Apply a refinement to the currently applied filters: drop removals, then add
+ * changes, replacing single-value types, same-named variant options and
+ * same-param metafields.
+ * @param {Array} currentFilters
+ * @param {Array} changes - Post-processed filters from this turn
+ * @param {Array} removals - removeFilters from the tool call
+ * @returns {Array}
+ */
+export function applyRefinement(currentFilters, changes, removals = []) {
+  let result = currentFilters.filter(
+    (f) => !removals.some((r) => matchesRemoval(f, r)),
+  );
+
+  for (const change of changes) {
+    const type = Object.keys(change)[0];
+
+    if (SINGLE_VALUE_TYPES.includes(type)) {
+      result = result.filter((f) => f[type] === undefined);
+    } else if (type === "variantOption") {
+      const name = change.variantOption.name.toLowerCase();
+      result = result.filter((f) => f.variantOption?.name.toLowerCase() !== name);
+    } else if (type === "metafield") {
+      result = result.filter((f) => f.metafield?.param !== change.metafield.param);
+    } else if (type === "tag" && result.some((f) => f.tag?.toLowerCase() === change.tag.toLowerCase())) {
+      continue;
+    }
+
+    result.push(change);
+  }
+
+  return result;
+}
+
+/**
+ * Build the conversation section of the LLM prompt.
+ * @param {{ history: {query: string, explanation: string}[], currentFilters: Array }|null|undefined} conversation
+ * @returns {string}
+ */
+function buildConversationPrompt(conversation) {
+  if (!conversation) return "";
+
+  const lines = [];
+  if (conversation.history.length > 0) {
+    lines.push("CONVERSATION SO FAR (oldest first):");
+    conversation.history.forEach((t, i) => {
+      lines.push(`${i + 1}. Customer: "${t.query}"${t.explanation ? ` → ${t.explanation}` : ""}`);
+    });
+  }
+  if (conversation.currentFilters.length > 0) {
+    lines.push(`CURRENTLY APPLIED FILTERS: ${JSON.stringify(conversation.currentFilters)}`);
+  }
+
+  return lines.join("\n");
+}
+
+const MAX_PROMPT_SYNONYMS = 200;
+
+/**
+ * Build the merchant synonym section of the LLM prompt.
+ * @param {{ term: string, canonical: string }[]} synonyms
+ * @returns {string}
+ */
+function buildSynonymPrompt(synonyms) {
+  if (!synonyms || synonyms.length === 0) return "";
+
+  const pairs = synonyms
+    .slice(0, MAX_PROMPT_SYNONYMS)
+    .map((s) => `"${s.term}" → "${s.canonical}"`);
+
+  return `MERCHANT SYNONYMS (when the customer says the term on the left, use the catalog value on the right):\n${pairs.join("; ")}`;
+}
+
 /**
  * Build taxonomy context string for the LLM prompt.
  * @param {object} taxonomyContext
@@ -196,35 +390,212 @@ function buildTaxonomyPrompt(taxonomyContext) {
     );
     lines.push(`- Variant options: ${optParts.join("; ")}`);
   }
+  if (taxonomyContext.metafieldFilters?.length > 0) {
+    const filterParts = taxonomyContext.metafieldFilters.map(
+      (f) => `${f.label} (param ${f.param}): [${f.values.map((v) => v.label).join(", ")}]`
+    );
+    lines.push(`- Custom filters: ${filterParts.join("; ")}`);
+  }
 
   return lines.length > 1 ? lines.join("\n") : "";
 }
 
 /**
- * Call the AI model via OpenRouter to map a natural language query to Shopify product filters.
+ * Pull the apply_filters arguments out of a chat-completions response.
+ * @param {object} response - Provider response in OpenAI chat-completions shape
+ * @returns {object|null} Parsed tool arguments, or null if the model didn't call the tool
+ */
+function parseToolCall(response) {
+  const toolCall = response?.choices?.[0]?.message?.tool_calls?.[0];
+  if (!toolCall?.function?.arguments) return null;
+
+  const args = toolCall.function.arguments;
+  return typeof args === "string" ? JSON.parse(args) : args;
+}
+
+/**
+ * List the values fuzzy correction changed, for the admin playground trace.
+ * Relies on fuzzyCorrectFilters() mapping filters one-to-one.
+ * @param {Array} before - Filters going into fuzzyCorrectFilters()
+ * @param {Array} after - Filters coming out
+ * @returns {{ index: number, field: string, from: string, to: string }[]}
+ */
+function listCorrections(before, after) {
+  const fields = [
+    ["productType", (f) => f.productType],
+    ["productVendor", (f) => f.productVendor],
+    ["tag", (f) => f.tag],
+    ["variantOption.name", (f) => f.variantOption?.name],
+    ["variantOption.value", (f) => f.variantOption?.value],
+    ["metafield.param", (f) => f.metafield?.param],
+    ["metafield.value", (f) => f.metafield?.value],
+  ];
+
+  const corrections = [];
+  before.forEach((filter, index) => {
+    for (const [field, get] of fields) {
+      const from = get(filter);
+      const to = get(after[index] || {});
+      if (from !== undefined && from !== to) corrections.push({ index, field, from, to: to ?? "(dropped)" });
+    }
+  });
+  return corrections;
+}
+
+/**
+ * Build a result from the rule-based parser when the LLM path fails.
+ * @param {string} userQuery
+ * @param {object|null} taxonomyContext
+ * @param {{ term: string, canonical: string }[]|undefined} synonyms
+ * @param {number} latencyMs - Time spent on the failed LLM attempt
+ * @param {{ name: string, model: string }} llm
+ * @param {{ currentFilters: Array }|null} [conversation] - When set, parsed filters refine the applied ones
+ * @returns {object}
+ */
+function fallbackResult(userQuery, taxonomyContext, synonyms, latencyMs, llm, conversation) {
+  const parsed = parseQueryLocally(userQuery, taxonomyContext, synonyms);
+  const refining = conversation?.currentFilters.length > 0;
+
+  return {
+    ...parsed,
+    ...(refining && {
+      filters: applyRefinement(conversation.currentFilters, parsed.filters),
+      searchQuery: parsed.filters.length > 0 ? parsed.searchQuery : "",
+      explanation: parsed.filters.length > 0 ? parsed.explanation : "Keeping your current filters.",
+    }),
+    mode: refining ? "refine" : "new",
+    latencyMs,
+    provider: llm.name,
+    model: llm.model,
+    source: "fallback",
+  };
+}
+
+/**
+ * Build the system prompt, appending the merchant's own instructions when set.
+ * @param {string|null|undefined} customInstructions
+ * @returns {string}
+ */
+function buildSystemPrompt(customInstructions) {
+  const instructions = (customInstructions || "").trim().slice(0, MAX_CUSTOM_INSTRUCTIONS);
+  if (!instructions) return SYSTEM_PROMPT;
+
+  return `${SYSTEM_PROMPT}
+
+STORE-SPECIFIC INSTRUCTIONS (written by the merchant; follow them unless they conflict with the strict rules above):
+${instructions}`;
+}
+
+/**
+ * Values the prompt must keep whatever their relevance: the filters already
+ * applied (so a refinement can name them) and synonym targets the query uses.
+ * @param {string} userQuery
+ * @param {{ synonyms?: {term: string, canonical: string}[], conversation?: object|null }} options
+ * @returns {string[]}
+ */
+function pinnedPromptValues(userQuery, options) {
+  const query = userQuery.toLowerCase();
+  const pinned = (options.synonyms || [])
+    .filter((s) => s.term && query.includes(s.term.toLowerCase()))
+    .map((s) => s.canonical);
+
+  for (const filter of options.conversation?.currentFilters || []) {
+    pinned.push(filter.productType, filter.productVendor, filter.tag, filter.variantOption?.value, filter.metafield?.label);
+  }
+  return pinned.filter(Boolean);
+}
+
+/**
+ * Rough token count of chat messages (~4 characters per token), for debug output.
+ * @param {{ content: string }[]} messages
+ * @returns {number}
+ */
+function estimateTokens(messages) {
+  return Math.ceil(messages.reduce((sum, m) => sum + m.content.length, 0) / 4);
+}
+
+/**
+ * Build the chat messages for a query, along with how many catalog values
+ * per category made it into the prompt. Takes the same arguments as
+ * buildPromptMessages.
+ * @returns {{ messages: { role: string, content: string }[], selection: object }}
+ */
+function buildPrompt(userQuery, taxonomyContext, availableFilters, collectionHandle, options = {}) {
+  const { taxonomy, selection } = selectPromptTaxonomy(userQuery, taxonomyContext, {
+    pinned: pinnedPromptValues(userQuery, options),
+  });
+  const hasFilters = availableFilters && availableFilters.length > 0;
+  const taxonomyPrompt = buildTaxonomyPrompt(taxonomy);
+  const synonymPrompt = buildSynonymPrompt(options.synonyms);
+  const conversationPrompt = buildConversationPrompt(options.conversation);
+
+  const userMessage = `Customer query: "${userQuery}"
+
+Collection: ${collectionHandle || "all products"}
+
+${taxonomyPrompt ? taxonomyPrompt + "\n\n" : ""}${synonymPrompt ? synonymPrompt + "\n\n" : ""}${hasFilters ? `Available filters on this page:\n${JSON.stringify(availableFilters)}\n\nUse matching values from the available filters when possible.` : "No filter list is available for this page. Generate standard Shopify filters based on the query (productType, variantOption, tag, price, available, productVendor, metafield)."}
+
+${conversationPrompt ? conversationPrompt + "\n\n" : ""}Use the apply_filters tool to return the structured filter parameters.`;
+
+  return {
+    messages: [
+      { role: "system", content: buildSystemPrompt(options.customInstructions) },
+      { role: "user", content: userMessage },
+    ],
+    selection,
+  };
+}
+
+/**
+ * Build the exact chat messages sent to the LLM for a query. Large taxonomy
+ * categories are trimmed to the values relevant to the query.
+ * Exported so the admin can preview the prompt.
  *
  * @param {string} userQuery - The customer's natural language query
  * @param {object|null} taxonomyContext - Parsed taxonomy from the store
  * @param {Array} availableFilters - Filters available on the current collection page
  * @param {string} collectionHandle - The collection handle for context
- * @returns {Promise<{filters: Array, explanation: string, latencyMs: number}>}
+ * @param {{ synonyms?: {term: string, canonical: string}[], customInstructions?: string|null, conversation?: object|null }} [options]
+ * @returns {{ role: string, content: string }[]}
  */
-export async function mapQueryToFilters(
+export function buildPromptMessages(
   userQuery,
   taxonomyContext,
   availableFilters,
   collectionHandle,
+  options = {},
 ) {
-  const hasFilters = availableFilters && availableFilters.length > 0;
-  const taxonomyPrompt = buildTaxonomyPrompt(taxonomyContext);
-
-  const userMessage = `Customer query: "${userQuery}"
-
-Collection: ${collectionHandle || "all products"}
-
-${taxonomyPrompt ? taxonomyPrompt + "\n\n" : ""}${hasFilters ? `Available filters on this page:\n${JSON.stringify(availableFilters)}\n\nUse matching values from the available filters when possible.` : "No filter list is available for this page. Generate standard Shopify filters based on the query (productType, variantOption, tag, price, available, productVendor)."}
+  return buildPrompt(userQuery, taxonomyContext, availableFilters, collectionHandle, options).messages;
+}
 
-Use the apply_filters tool to return the structured filter parameters.`;
+/**
+ * Call the shop's configured LLM provider to map a natural language query to Shopify product filters.
+ *
+ * @param {string} userQuery - The customer's natural language query
+ * @param {object|null} taxonomyContext - Parsed taxonomy from the store
+ * @param {Array} availableFilters - Filters available on the current collection page
+ * @param {string} collectionHandle - The collection handle for context
+ * @param {{ provider?: string|null, model?: string|null, synonyms?: {term: string, canonical: string}[], customInstructions?: string|null, conversation?: object|null, trace?: boolean }} [options] - Per-shop provider/model choice (defaults from env), synonym dictionary and prompt instructions. `conversation` (from normalizeConversation) lets the query refine the applied filters. `trace` adds every pipeline stage to the result (admin playground).
+ * @returns {Promise<{filters: Array, explanation: string, searchQuery: string, mode: "new"|"refine", latencyMs: number, provider: string, model: string, source: "llm"|"fallback", promptTokens: number, trace?: object}>}
+ */
+export async function mapQueryToFilters(
+  userQuery,
+  taxonomyContext,
+  availableFilters,
+  collectionHandle,
+  options = {},
+) {
+  const llm = resolveProvider({ llmProvider: options.provider, llmModel: options.model });
+  const { messages, selection } = buildPrompt(
+    userQuery,
+    taxonomyContext,
+    availableFilters,
+    collectionHandle,
+    options,
+  );
+  const promptTokens = estimateTokens(messages);
+  const trace = options.trace ? { messages, taxonomySelection: selection, rawArgs: null } : null;
+  const finish = (result) => ({ ...result, promptTokens, ...(trace && { trace }) });
 
   const startTime = Date.now();
 
@@ -232,66 +603,82 @@ Use the apply_filters tool to return the structured filter parameters.`;
   const timer = setTimeout(() => controller.abort(), LLM_TIMEOUT_MS);
 
   try {
-    const res = await fetch("https://openrouter.ai/api/v1/chat/completions", {
-      method: "POST",
-      headers: {
-        "Authorization": `Bearer ${OPENROUTER_API_KEY}`,
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({
-        model: "google/gemini-2.5-flash-lite",
-        max_tokens: 256,
-        tools: [TOOL_DEFINITION],
-        tool_choice: { type: "function", function: { name: "apply_filters" } },
-        messages: [
-          { role: "system", content: SYSTEM_PROMPT },
-          { role: "user", content: userMessage },
-        ],
-      }),
+    const response = await llm.provider.complete({
+      model: llm.model,
+      maxTokens: MAX_TOKENS,
+      tools: [TOOL_DEFINITION],
+      toolChoice: { type: "function", function: { name: "apply_filters" } },
+      messages,
       signal: controller.signal,
+      context: {
+        userQuery,
+        taxonomyContext,
+        synonyms: options.synonyms,
+        conversation: options.conversation,
+      },
     });
 
-    const response = await res.json();
     const latencyMs = Date.now() - startTime;
 
-    const toolCall = response.choices?.[0]?.message?.tool_calls?.[0];
+    const args = parseToolCall(response);
 
-    if (!toolCall) {
-      return {
-        filters: [],
-        explanation: "I couldn't process your request. Please try again.",
-        latencyMs,
-      };
+    if (!args) {
+      console.warn(`[AI Filter] LLM (${llm.name}) returned no tool call — using fallback parser`);
+      if (trace) trace.fallbackReason = "The model returned no tool call";
+      return finish(fallbackResult(userQuery, taxonomyContext, options.synonyms, latencyMs, llm, options.conversation));
     }
 
-    const { filters = [], explanation = "", searchQuery = "" } = JSON.parse(
-      toolCall.function.arguments,
-    );
-
-    // Post-processing pipeline: sanitize → merge → fuzzy correct
-    let processed = sanitizeFilters(filters, taxonomyContext);
-    processed = mergeFilters(processed);
-    processed = fuzzyCorrectFilters(processed, taxonomyContext);
+    const { filters = [], explanation = "", searchQuery = "", removeFilters = [] } = args;
+    const currentFilters = options.conversation?.currentFilters || [];
+    const mode = args.mode === "refine" && currentFilters.length > 0 ? "refine" : "new";
+
+    // Post-processing pipeline: sanitize → merge → fuzzy correct (→ refine)
+    const sanitized = sanitizeFilters(Array.isArray(filters) ? filters : [], taxonomyContext);
+    const merged = mergeFilters(sanitized);
+    const corrected = fuzzyCorrectFilters(merged, taxonomyContext, options.synonyms);
+    const processed = corrected.filter((f) => Object.keys(f).length > 0);
+    const final = mode === "refine"
+      ? applyRefinement(currentFilters, processed, Array.isArray(removeFilters) ? removeFilters : [])
+      : processed;
+
+    if (trace) {
+      Object.assign(trace, {
+        rawArgs: args,
+        sanitized,
+        merged,
+        corrected: processed,
+        corrections: listCorrections(merged, corrected),
+        ...(mode === "refine" && { refined: final }),
+      });
+    }
 
-    return {
-      filters: processed,
+    return finish({
+      filters: final,
       explanation,
+      mode,
       searchQuery: searchQuery || "",
       latencyMs,
-    };
+      provider: llm.name,
+      model: llm.model,
+      source: "llm",
+    });
   } catch (error) {
     const latencyMs = Date.now() - startTime;
 
+    // Timeouts, network errors and malformed tool arguments all degrade to the local parser
     if (error.name === "AbortError") {
-      console.warn("[AI Filter] LLM timed out after " + latencyMs + "ms");
-      return {
-        filters: [],
-        explanation: "The request took too long. Please try a simpler query.",
-        latencyMs,
-      };
+      console.warn(`[AI Filter] LLM (${llm.name}) timed out after ${latencyMs}ms — using fallback parser`);
+    } else {
+      console.error(`[AI Filter] LLM (${llm.name}) failed — using fallback parser:`, error);
+    }
+
+    if (trace) {
+      trace.fallbackReason = error.name === "AbortError"
+        ? `The model timed out after ${latencyMs}ms`
+        : `The model call failed: ${error.message}`;
     }
 
-    throw error;
+    return finish(fallbackResult(userQuery, taxonomyContext, options.synonyms, latencyMs, llm, options.conversation));
   } finally {
     clearTimeout(timer);
   }
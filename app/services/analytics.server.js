@@ -0,0 +1,210 @@
+import prisma from "../db.server";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RANGE_DAYS = 366;
+const MAX_EXPORT_ROWS = 50_000;
+
+export const RANGE_PRESETS = {
+  "7d": { label: "Last 7 days", days: 7 },
+  "30d": { label: "Last 30 days", days: 30 },
+  "90d": { label: "Last 90 days", days: 90 },
+};
+
+export const FILTER_TYPES = [
+  { key: "productType", label: "Product type" },
+  { key: "productVendor", label: "Vendor" },
+  { key: "tag", label: "Tag" },
+  { key: "variantOption", label: "Variant option" },
+  { key: "metafield", label: "Custom filter" },
+  { key: "price", label: "Price" },
+  { key: "available", label: "Availability" },
+];
+
+/**
+ * Format a Date as a UTC "YYYY-MM-DD" day key (matches AiFilterQuery.day).
+ * @param {Date} date
+ * @returns {string}
+ */
+function toDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Resolve the requested date range from URL search params.
+ * Accepts ?range=7d|30d|90d, or ?range=custom&from=YYYY-MM-DD&to=YYYY-MM-DD (inclusive, UTC).
+ * Defaults to the last 30 days.
+ * @param {URLSearchParams} params
+ * @returns {{ range: string, from: Date, to: Date, fromDay: string, toDay: string }}
+ */
+export function parseDateRange(params) {
+  const preset = params.get("range");
+  const fromParam = params.get("from");
+  const toParam = params.get("to");
+  const isDay = (v) => /^\d{4}-\d{2}-\d{2}$/.test(v || "") && !isNaN(Date.parse(v));
+
+  if (!RANGE_PRESETS[preset] && isDay(fromParam) && isDay(toParam)) {
+    const [first, last] = [fromParam, toParam].sort();
+    let from = new Date(`${first}T00:00:00.000Z`);
+    const to = new Date(new Date(`${last}T00:00:00.000Z`).getTime() + DAY_MS);
+    if (to - from > MAX_RANGE_DAYS * DAY_MS) from = new Date(to.getTime() - MAX_RANGE_DAYS * DAY_MS);
+
+    return {
+      range: "custom",
+      from,
+      to,
+      fromDay: toDay(from),
+      toDay: toDay(new Date(to.getTime() - DAY_MS)),
+    };
+  }
+
+  const range = RANGE_PRESETS[preset] ? preset : "30d";
+  const today = new Date(`${toDay(new Date())}T00:00:00.000Z`);
+  const to = new Date(today.getTime() + DAY_MS);
+  const from = new Date(to.getTime() - RANGE_PRESETS[range].days * DAY_MS);
+
+  return { range, from, to, fromDay: toDay(from), toDay: toDay(today) };
+}
+
+/**
+ * Latency at a given percentile, computed in the database by offsetting into the sorted rows.
+ * @param {object} where - Prisma where clause
+ * @param {number} count - Number of rows matching `where`
+ * @param {number} percentile - 0..1
+ * @returns {Promise<number>}
+ */
+async function latencyPercentile(where, count, percentile) {
+  if (count === 0) return 0;
+
+  const row = await prisma.aiFilterQuery.findFirst({
+    where,
+    orderBy: { latencyMs: "asc" },
+    skip: Math.min(count - 1, Math.floor(percentile * (count - 1))),
+    select: { latencyMs: true },
+  });
+
+  return row?.latencyMs || 0;
+}
+
+/**
+ * Aggregate query analytics for a shop over a date range. All aggregation runs in the database.
+ * @param {string} shopId
+ * @param {{ from: Date, to: Date, fromDay: string, toDay: string }} range
+ * @returns {Promise<object>}
+ */
+export async function getQueryAnalytics(shopId, { from, to, fromDay, toDay: lastDay }) {
+  const where = { shopId, createdAt: { gte: from, lt: to } };
+  // Cache hits and pinned rules are logged with 0ms, so latency stats only look at real pipeline runs
+  const uncachedWhere = { ...where, source: { notIn: ["cache", "rule"] } };
+
+  const [total, uncachedCount, bySource, byDay, latencyAvg, filterTypeCounts] = await Promise.all([
+    prisma.aiFilterQuery.count({ where }),
+    prisma.aiFilterQuery.count({ where: uncachedWhere }),
+    prisma.aiFilterQuery.groupBy({
+      by: ["source"],
+      where,
+      _count: { _all: true },
+    }),
+    prisma.aiFilterQuery.groupBy({
+      by: ["day"],
+      where,
+      _count: { _all: true },
+      orderBy: { day: "asc" },
+    }),
+    prisma.aiFilterQuery.aggregate({
+      where: uncachedWhere,
+      _avg: { latencyMs: true },
+    }),
+    Promise.all(
+      FILTER_TYPES.map((t) =>
+        prisma.aiFilterQuery.count({
+          where: { ...where, filtersReturned: { contains: `"${t.key}"` } },
+        }),
+      ),
+    ),
+  ]);
+
+  const [p50, p95] = await Promise.all([
+    latencyPercentile(uncachedWhere, uncachedCount, 0.5),
+    latencyPercentile(uncachedWhere, uncachedCount, 0.95),
+  ]);
+
+  // Fill days without queries so the chart has no gaps
+  const countsByDay = new Map(byDay.map((d) => [d.day, d._count._all]));
+  const daily = [];
+  for (let t = new Date(`${fromDay}T00:00:00.000Z`).getTime(); ; t += DAY_MS) {
+    const day = new Date(t).toISOString().slice(0, 10);
+    daily.push({ day, count: countsByDay.get(day) || 0 });
+    if (day >= lastDay) break;
+  }
+
+  const sources = Object.fromEntries(bySource.map((s) => [s.source, s._count._all]));
+  const cacheHits = sources.cache || 0;
+
+  return {
+    total,
+    daily,
+    sources,
+    cacheHitRatio: total > 0 ? cacheHits / total : 0,
+    latency: {
+      avg: Math.round(latencyAvg._avg.latencyMs || 0),
+      p50,
+      p95,
+    },
+    filterTypes: FILTER_TYPES.map((t, i) => ({
+      ...t,
+      count: filterTypeCounts[i],
+      share: total > 0 ? filterTypeCounts[i] / total : 0,
+    })),
+  };
+}
+
+/**
+ * Raw query log rows for export.
+ * @param {string} shopId
+ * @param {{ from: Date, to: Date }} range
+ * @returns {Promise<object[]>}
+ */
+export async function getQueryLog(shopId, { from, to }) {
+  const rows = await prisma.aiFilterQuery.findMany({
+    where: { shopId, createdAt: { gte: from, lt: to } },
+    orderBy: { createdAt: "asc" },
+    take: MAX_EXPORT_ROWS,
+    select: {
+      id: true,
+      createdAt: true,
+      userQuery: true,
+      normalizedQuery: true,
+      filtersReturned: true,
+      productCount: true,
+      relaxed: true,
+      relaxation: true,
+      latencyMs: true,
+      source: true,
+    },
+  });
+
+  return rows.map((r) => ({ ...r, createdAt: r.createdAt.toISOString() }));
+}
+
+/**
+ * Serialize rows as RFC 4180 CSV. Customer-typed text that looks like a
+ * spreadsheet formula is prefixed with a quote so it can't execute on open.
+ * @param {object[]} rows
+ * @returns {string}
+ */
+export function toCsv(rows) {
+  if (rows.length === 0) return "";
+
+  const columns = Object.keys(rows[0]);
+  const escape = (value) => {
+    if (value === null || value === undefined) return "";
+    let str = String(value);
+    if (typeof value === "string" && /^[=+\-@\t\r]/.test(str)) str = `'${str}`;
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  };
+
+  return [
+    columns.join(","),
+    ...rows.map((row) => columns.map((c) => escape(row[c])).join(",")),
+  ].join("\r\n");
+}
@@ -0,0 +1,733 @@
+import { createInterface } from "node:readline";
+import { Readable } from "node:stream";
+import prisma from "../db.server";
+import { createPrismaStore } from "./kv-store.server.js";
+import { cacheFlushShop, cacheFlushWhere } from "../utils/queryCache.server.js";
+
+/**
+ * Per-product catalog snapshot (TaxonomyProduct) and the TaxonomyValue product
+ * counts derived from it. A full scan pages through every product (or runs a
+ * bulk operation for large catalogs) and checkpoints in TaxonomySyncJob so an
+ * interrupted scan resumes where it stopped. Product webhooks then keep the
+ * snapshot and counts current one product at a time.
+ */
+
+const PAGE_SIZE = 250;
+const BULK_THRESHOLD = 5000; // products; above this a bulk operation is cheaper
+const REBUILD_BATCH_SIZE = 1000;
+const WRITE_BATCH_SIZE = 500;
+
+// A running job that hasn't checkpointed for this long is considered interrupted
+export const SYNC_LOCK_TTL_MS = 5 * 60 * 1000;
+
+// Leave this share of the shop's GraphQL cost bucket for the merchant and other apps
+const THROTTLE_RESERVE = 0.5;
+const MAX_THROTTLE_RETRIES = 5;
+
+const BULK_POLL_INTERVAL_MS = 5000;
+const BULK_MAX_WAIT_MS = 20 * 60 * 1000;
+
+// Shopify retries a failed webhook for up to 48 hours, so a create/update
+// queued before a product's delete can still arrive days later
+const DELETED_PRODUCT_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const deletedProducts = createPrismaStore("deleted-products");
+
+const PRODUCT_FIELDS = `
+  id
+  updatedAt
+  productType
+  vendor
+  tags
+  priceRangeV2 {
+    minVariantPrice { amount }
+    maxVariantPrice { amount }
+  }
+  options { name values }`;
+
+const PRODUCTS_PAGE_QUERY = `#graphql
+  query CatalogSnapshot($first: Int!, $after: String) {
+    products(first: $first, after: $after) {
+      nodes { ${PRODUCT_FIELDS} }
+      pageInfo { hasNextPage endCursor }
+    }
+  }`;
+
+const BULK_PRODUCTS_QUERY = `{
+  products {
+    edges {
+      node { ${PRODUCT_FIELDS} }
+    }
+  }
+}`;
+
+// Single-level taxonomy kinds (TaxonomyValue.kind, named after the filter keys)
+const LIST_FIELDS = [
+  { kind: "productType", get: (s) => (s.productType ? [s.productType] : []) },
+  { kind: "productVendor", get: (s) => (s.vendor ? [s.vendor] : []) },
+  { kind: "tag", get: (s) => s.tags },
+];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Wait until the cost bucket has room for the next request plus the reserve.
+ * @param {{ requestedQueryCost?: number, throttleStatus?: { maximumAvailable: number, currentlyAvailable: number, restoreRate: number } }|undefined} cost - extensions.cost of the last response
+ */
+async function waitForBudget(cost) {
+  const status = cost?.throttleStatus;
+  if (!status?.restoreRate) return;
+
+  const needed = (cost.requestedQueryCost || 0) + status.maximumAvailable * THROTTLE_RESERVE;
+  if (status.currentlyAvailable >= needed) return;
+
+  await sleep(Math.ceil(((needed - status.currentlyAvailable) / status.restoreRate) * 1000));
+}
+
+/**
+ * Run an Admin GraphQL request, backing off when Shopify throttles it.
+ * @param {object} admin - Shopify admin API client
+ * @param {string} query
+ * @param {object} [variables]
+ * @returns {Promise<object>} The response data
+ */
+export async function adminQuery(admin, query, variables) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const response = await admin.graphql(query, variables ? { variables } : undefined);
+      const body = await response.json();
+      await waitForBudget(body.extensions?.cost);
+      return body.data;
+    } catch (err) {
+      if (!/throttled/i.test(err.message) || attempt >= MAX_THROTTLE_RETRIES) throw err;
+      await sleep(1000 * 2 ** attempt);
+    }
+  }
+}
+
+/**
+ * Numeric product id from a GID ("gid://shopify/Product/123") or webhook id (123).
+ * @param {string|number} id
+ * @returns {string}
+ */
+export function productIdOf(id) {
+  return String(id).split("/").pop();
+}
+
+const toPrice = (amount) => {
+  const num = parseFloat(amount);
+  return isNaN(num) ? null : num;
+};
+
+const toDate = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date.getTime()) ? date : null;
+};
+
+/**
+ * Snapshot of a product from an Admin GraphQL node.
+ * @param {object} node
+ * @returns {{ productId: string, productType: string, vendor: string, tags: string[], options: {name: string, values: string[]}[], minPrice: number|null, maxPrice: number|null, updatedAt: Date|null }}
+ */
+function snapshotFromNode(node) {
+  return {
+    productId: productIdOf(node.id),
+    productType: node.productType || "",
+    vendor: node.vendor || "",
+    tags: node.tags || [],
+    options: (node.options || []).map((o) => ({ name: o.name, values: o.values })),
+    minPrice: toPrice(node.priceRangeV2?.minVariantPrice?.amount),
+    maxPrice: toPrice(node.priceRangeV2?.maxVariantPrice?.amount),
+    updatedAt: toDate(node.updatedAt),
+  };
+}
+
+/**
+ * Snapshot of a product from a PRODUCTS_CREATE / PRODUCTS_UPDATE webhook payload.
+ * @param {object} payload
+ * @returns {ReturnType<typeof snapshotFromNode>}
+ */
+function snapshotFromWebhook(payload) {
+  const prices = (payload.variants || []).map((v) => toPrice(v.price)).filter((p) => p !== null);
+  const tags = Array.isArray(payload.tags)
+    ? payload.tags
+    : String(payload.tags || "").split(",").map((t) => t.trim()).filter(Boolean);
+
+  return {
+    productId: productIdOf(payload.id),
+    productType: payload.product_type || "",
+    vendor: payload.vendor || "",
+    tags,
+    options: (payload.options || []).map((o) => ({ name: o.name, values: o.values || [] })),
+    minPrice: prices.length > 0 ? Math.min(...prices) : null,
+    maxPrice: prices.length > 0 ? Math.max(...prices) : null,
+    updatedAt: toDate(payload.updated_at),
+  };
+}
+
+/**
+ * Snapshot from a stored TaxonomyProduct row.
+ * @param {object} row
+ * @returns {ReturnType<typeof snapshotFromNode>}
+ */
+function snapshotFromRow(row) {
+  return {
+    productId: row.productId,
+    productType: row.productType,
+    vendor: row.vendor,
+    tags: JSON.parse(row.tags || "[]"),
+    options: JSON.parse(row.options || "[]"),
+    minPrice: row.minPrice,
+    maxPrice: row.maxPrice,
+    updatedAt: row.productUpdatedAt,
+  };
+}
+
+/**
+ * Upsert snapshot rows for a batch of products.
+ * @param {string} shopId
+ * @param {ReturnType<typeof snapshotFromNode>[]} snapshots
+ */
+async function writeSnapshots(shopId, snapshots) {
+  if (snapshots.length === 0) return;
+
+  await prisma.$transaction(
+    snapshots.map((s) => {
+      const data = {
+        productType: s.productType,
+        vendor: s.vendor,
+        tags: JSON.stringify(s.tags),
+        options: JSON.stringify(s.options),
+        minPrice: s.minPrice,
+        maxPrice: s.maxPrice,
+        productUpdatedAt: s.updatedAt,
+        scannedAt: new Date(),
+      };
+      return prisma.taxonomyProduct.upsert({
+        where: { shopId_productId: { shopId, productId: s.productId } },
+        create: { shopId, productId: s.productId, ...data },
+        update: data,
+      });
+    }),
+  );
+}
+
+/**
+ * Every taxonomy value a product carries, once each.
+ * Shopify's "Title: Default Title" placeholder option is skipped.
+ * @param {ReturnType<typeof snapshotFromNode>|null} snapshot
+ * @returns {{ kind: string, optionName: string, value: string }[]}
+ */
+function snapshotValues(snapshot) {
+  if (!snapshot) return [];
+
+  const values = [];
+  for (const field of LIST_FIELDS) {
+    for (const value of new Set(field.get(snapshot))) {
+      values.push({ kind: field.kind, optionName: "", value });
+    }
+  }
+  for (const option of snapshot.options) {
+    if (option.name === "Title" && option.values.length === 1 && option.values[0] === "Default Title") continue;
+    for (const value of new Set(option.values)) {
+      values.push({ kind: "variantOption", optionName: option.name, value });
+    }
+  }
+  return values;
+}
+
+const valueKey = (v) => `${v.kind}\u0000${v.optionName}\u0000${v.value}`;
+
+/**
+ * Count one product's values into a map keyed by valueKey.
+ * @param {Map<string, { kind: string, optionName: string, value: string, count: number }>} counts
+ * @param {ReturnType<typeof snapshotFromRow>} snapshot
+ */
+function tally(counts, snapshot) {
+  for (const v of snapshotValues(snapshot)) {
+    const key = valueKey(v);
+    const entry = counts.get(key);
+    if (entry) entry.count++;
+    else counts.set(key, { ...v, count: 1 });
+  }
+}
+
+/**
+ * Price range across the snapshot.
+ * @param {string} shopId
+ * @returns {Promise<{ priceMin: number, priceMax: number }>}
+ */
+async function snapshotPriceRange(shopId) {
+  const { _min, _max } = await prisma.taxonomyProduct.aggregate({
+    where: { shopId },
+    _min: { minPrice: true },
+    _max: { maxPrice: true },
+  });
+  return { priceMin: _min.minPrice ?? 0, priceMax: _max.maxPrice ?? 0 };
+}
+
+/**
+ * Recount every value from the stored snapshot, in batches.
+ * @param {string} shopId
+ * @returns {Promise<Map<string, { kind: string, optionName: string, value: string, count: number }>>}
+ */
+async function countFromSnapshot(shopId) {
+  const counts = new Map();
+  let cursor = null;
+
+  for (;;) {
+    const rows = await prisma.taxonomyProduct.findMany({
+      where: { shopId },
+      orderBy: { id: "asc" },
+      take: REBUILD_BATCH_SIZE,
+      ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+    });
+    for (const row of rows) tally(counts, snapshotFromRow(row));
+    if (rows.length < REBUILD_BATCH_SIZE) return counts;
+    cursor = rows[rows.length - 1].id;
+  }
+}
+
+/**
+ * Count the values and price range of a set of products from the snapshot,
+ * e.g. one collection's products. Products missing from the snapshot are skipped.
+ * @param {string} shopId
+ * @param {string[]} productIds - Numeric ids or GIDs
+ * @returns {Promise<{ counts: Awaited<ReturnType<typeof countFromSnapshot>>, productCount: number, priceMin: number|null, priceMax: number|null }>}
+ */
+export async function countProducts(shopId, productIds) {
+  const counts = new Map();
+  let productCount = 0;
+  let priceMin = null;
+  let priceMax = null;
+  const ids = productIds.map(productIdOf);
+
+  for (let i = 0; i < ids.length; i += REBUILD_BATCH_SIZE) {
+    const rows = await prisma.taxonomyProduct.findMany({
+      where: { shopId, productId: { in: ids.slice(i, i + REBUILD_BATCH_SIZE) } },
+    });
+    for (const row of rows) {
+      productCount++;
+      if (row.minPrice !== null && (priceMin === null || row.minPrice < priceMin)) priceMin = row.minPrice;
+      if (row.maxPrice !== null && (priceMax === null || row.maxPrice > priceMax)) priceMax = row.maxPrice;
+      tally(counts, snapshotFromRow(row));
+    }
+  }
+
+  return { counts, productCount, priceMin, priceMax };
+}
+
+/**
+ * Write recounted product counts to TaxonomyValue. Values the snapshot no
+ * longer has drop to 0; option values only come from the snapshot, so those
+ * are deleted instead.
+ * @param {string} shopId
+ * @param {Awaited<ReturnType<typeof countFromSnapshot>>} counts
+ */
+async function storeCounts(shopId, counts) {
+  const seenAt = new Date();
+  const entries = [...counts.values()];
+
+  for (let i = 0; i < entries.length; i += WRITE_BATCH_SIZE) {
+    await prisma.$transaction(
+      entries.slice(i, i + WRITE_BATCH_SIZE).map((v) =>
+        prisma.taxonomyValue.upsert({
+          where: {
+            shopId_kind_optionName_value: { shopId, kind: v.kind, optionName: v.optionName, value: v.value },
+          },
+          create: { shopId, kind: v.kind, optionName: v.optionName, value: v.value, productCount: v.count, firstSeenAt: seenAt, lastSeenAt: seenAt },
+          update: { productCount: v.count, lastSeenAt: seenAt },
+        }),
+      ),
+    );
+  }
+
+  await prisma.taxonomyValue.updateMany({
+    where: { shopId, lastSeenAt: { lt: seenAt } },
+    data: { productCount: 0 },
+  });
+  await prisma.taxonomyValue.deleteMany({
+    where: { shopId, kind: "variantOption", productCount: 0 },
+  });
+}
+
+/**
+ * Claim the shop's sync job. Succeeds when no other sync is running, or the
+ * running one stopped checkpointing (the process died).
+ * @param {string} shopId
+ * @returns {Promise<object|null>} The claimed job, or null if another sync holds it
+ */
+async function claimJob(shopId) {
+  await prisma.taxonomySyncJob.upsert({
+    where: { shopId },
+    create: { shopId },
+    update: {},
+  });
+
+  const previous = await prisma.taxonomySyncJob.findUnique({ where: { shopId } });
+  const staleBefore = new Date(Date.now() - SYNC_LOCK_TTL_MS);
+
+  const { count } = await prisma.taxonomySyncJob.updateMany({
+    where: {
+      shopId,
+      updatedAt: previous.updatedAt,
+      OR: [{ status: { not: "running" } }, { updatedAt: { lt: staleBefore } }],
+    },
+    data: { status: "running", error: null },
+  });
+  if (count === 0) return null;
+
+  // Resume an interrupted or failed run from its checkpoint, otherwise start fresh
+  const resumable = previous.status === "running" || previous.status === "failed";
+  if (resumable && (previous.cursor || previous.bulkOperationId)) {
+    return prisma.taxonomySyncJob.findUnique({ where: { shopId } });
+  }
+
+  return prisma.taxonomySyncJob.update({
+    where: { shopId },
+    data: {
+      mode: "paged",
+      cursor: null,
+      bulkOperationId: null,
+      productsScanned: 0,
+      startedAt: new Date(),
+      completedAt: null,
+    },
+  });
+}
+
+/**
+ * Page through every product, snapshotting and checkpointing after each page.
+ * @param {object} admin
+ * @param {object} job
+ */
+async function runPagedSync(admin, job) {
+  let cursor = job.cursor;
+  let scanned = job.productsScanned;
+  let hasNextPage = true;
+
+  while (hasNextPage) {
+    const data = await adminQuery(admin, PRODUCTS_PAGE_QUERY, { first: PAGE_SIZE, after: cursor });
+    const connection = data.products;
+
+    await writeSnapshots(job.shopId, connection.nodes.map(snapshotFromNode));
+    scanned += connection.nodes.length;
+    hasNextPage = connection.pageInfo.hasNextPage;
+    cursor = connection.pageInfo.endCursor;
+
+    await prisma.taxonomySyncJob.update({
+      where: { id: job.id },
+      data: { cursor, productsScanned: scanned },
+    });
+  }
+}
+
+/**
+ * Start (or reattach to) a bulk operation, wait for it, and stream its JSONL
+ * result into the snapshot.
+ * @param {object} admin
+ * @param {object} job
+ */
+async function runBulkSync(admin, job) {
+  let operationId = job.bulkOperationId;
+
+  if (!operationId) {
+    const data = await adminQuery(admin, `#graphql
+      mutation CatalogSnapshotBulk($query: String!) {
+        bulkOperationRunQuery(query: $query) {
+          bulkOperation { id }
+          userErrors { field message }
+        }
+      }`, { query: BULK_PRODUCTS_QUERY });
+
+    const { bulkOperation, userErrors } = data.bulkOperationRunQuery;
+    if (userErrors.length > 0) {
+      throw new Error(`Bulk operation rejected: ${userErrors.map((e) => e.message).join("; ")}`);
+    }
+    operationId = bulkOperation.id;
+    await prisma.taxonomySyncJob.update({
+      where: { id: job.id },
+      data: { mode: "bulk", bulkOperationId: operationId },
+    });
+  }
+
+  const deadline = Date.now() + BULK_MAX_WAIT_MS;
+  let operation;
+
+  for (;;) {
+    const data = await adminQuery(admin, `#graphql
+      query CatalogSnapshotBulkStatus($id: ID!) {
+        node(id: $id) {
+          ... on BulkOperation { status errorCode objectCount url }
+        }
+      }`, { id: operationId });
+    operation = data.node;
+
+    if (!operation) throw new Error(`Bulk operation ${operationId} not found`);
+    if (operation.status === "COMPLETED") break;
+    if (!["CREATED", "RUNNING"].includes(operation.status)) {
+      // Clear the id so the next attempt starts a new operation
+      await prisma.taxonomySyncJob.update({ where: { id: job.id }, data: { bulkOperationId: null } });
+      throw new Error(`Bulk operation ${operation.status.toLowerCase()}${operation.errorCode ? `: ${operation.errorCode}` : ""}`);
+    }
+    if (Date.now() > deadline) {
+      throw new Error(`Bulk operation still ${operation.status.toLowerCase()} after ${BULK_MAX_WAIT_MS / 60000} minutes`);
+    }
+
+    // Touch the job so the lock stays ours while we wait
+    await prisma.taxonomySyncJob.update({
+      where: { id: job.id },
+      data: { productsScanned: Number(operation.objectCount) || 0 },
+    });
+    await sleep(BULK_POLL_INTERVAL_MS);
+  }
+
+  let scanned = 0;
+
+  // url is null when the catalog is empty
+  if (operation.url) {
+    const response = await fetch(operation.url);
+    if (!response.ok) throw new Error(`Bulk result download failed: HTTP ${response.status}`);
+
+    const lines = createInterface({ input: Readable.fromWeb(response.body), crlfDelay: Infinity });
+    let batch = [];
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      batch.push(snapshotFromNode(JSON.parse(line)));
+      if (batch.length >= PAGE_SIZE) {
+        await writeSnapshots(job.shopId, batch);
+        scanned += batch.length;
+        batch = [];
+      }
+    }
+    await writeSnapshots(job.shopId, batch);
+    scanned += batch.length;
+  }
+
+  await prisma.taxonomySyncJob.update({
+    where: { id: job.id },
+    data: { productsScanned: scanned },
+  });
+}
+
+/**
+ * Snapshot the whole catalog, then rebuild value counts, variant options and
+ * the price range from it. Returns without doing anything when another scan
+ * for the shop is already running.
+ * @param {object} admin - Shopify admin API client
+ * @param {string} shopDomain
+ * @returns {Promise<boolean>} Whether this call ran the scan
+ */
+export async function syncCatalogSnapshot(admin, shopDomain) {
+  const shopRecord = await prisma.shop.findUnique({ where: { domain: shopDomain } });
+  if (!shopRecord) return false;
+
+  const job = await claimJob(shopRecord.id);
+  if (!job) {
+    console.log(`[Taxonomy] Catalog scan already running for ${shopDomain} — skipping`);
+    return false;
+  }
+
+  const startTime = Date.now();
+  const resumed = job.productsScanned > 0 || !!job.bulkOperationId;
+
+  try {
+    if (job.mode === "bulk" || job.bulkOperationId) {
+      await runBulkSync(admin, job);
+    } else if (job.cursor) {
+      await runPagedSync(admin, job);
+    } else {
+      const data = await adminQuery(admin, "{ productsCount { count } }");
+      if (data.productsCount.count > BULK_THRESHOLD) await runBulkSync(admin, job);
+      else await runPagedSync(admin, job);
+    }
+
+    // Rows this scan didn't touch (and no webhook refreshed) belong to deleted products
+    await prisma.taxonomyProduct.deleteMany({
+      where: { shopId: shopRecord.id, scannedAt: { lt: job.startedAt } },
+    });
+
+    const counts = await countFromSnapshot(shopRecord.id);
+    await storeCounts(shopRecord.id, counts);
+    const priceRange = await snapshotPriceRange(shopRecord.id);
+
+    const finished = await prisma.taxonomySyncJob.update({
+      where: { id: job.id },
+      data: { status: "completed", completedAt: new Date(), cursor: null, bulkOperationId: null },
+    });
+    await prisma.shop.update({
+      where: { id: shopRecord.id },
+      data: { ...priceRange, variantOptionsSyncedAt: new Date() },
+    });
+    await cacheFlushShop(shopDomain);
+
+    console.log(
+      `[Taxonomy] Catalog scan ${resumed ? "resumed and completed" : "complete"} for ${shopDomain} in ${Date.now() - startTime}ms — ` +
+      `${finished.productsScanned} products (${finished.mode}), ${counts.size} values`
+    );
+    return true;
+  } catch (err) {
+    await prisma.taxonomySyncJob.update({
+      where: { id: job.id },
+      data: { status: "failed", error: String(err.message).slice(0, 500) },
+    });
+    console.error(`[Taxonomy] Catalog scan failed for ${shopDomain}:`, err);
+    throw err;
+  }
+}
+
+/**
+ * Whether a shop's last catalog scan was interrupted and should resume.
+ * @param {{ status: string, updatedAt: Date, cursor: string|null, bulkOperationId: string|null }|null} job
+ * @returns {boolean}
+ */
+export function isSyncInterrupted(job) {
+  if (!job) return false;
+  if (job.status === "failed") return !!(job.cursor || job.bulkOperationId);
+  return job.status === "running" && Date.now() - new Date(job.updatedAt).getTime() > SYNC_LOCK_TTL_MS;
+}
+
+/**
+ * Whether cached filters reference any changed value (case-insensitive), or a
+ * price when the catalog price range moved.
+ * @param {Array} filters
+ * @param {{ values: Set<string>, price: boolean }} changed
+ * @returns {boolean}
+ */
+function filtersReference(filters, changed) {
+  const hit = (v) => typeof v === "string" && changed.values.has(v.toLowerCase());
+  return (filters || []).some((f) =>
+    hit(f.productType) ||
+    hit(f.productVendor) ||
+    hit(f.tag) ||
+    hit(f.variantOption?.value) ||
+    (changed.price && f.price !== undefined));
+}
+
+/**
+ * Apply a PRODUCTS_CREATE / PRODUCTS_UPDATE / PRODUCTS_DELETE webhook to the
+ * snapshot and the TaxonomyValue counts, then flush only the cache entries
+ * whose filters mention a value that appeared or disappeared.
+ * Without a completed snapshot there is nothing to diff against, so the
+ * taxonomy is marked stale instead.
+ * Shopify doesn't deliver webhooks in order: a create/update older than the
+ * stored version (by the product's updated_at) is skipped, and so is any
+ * create/update for a product whose delete was already applied.
+ * When its values or prices changed, the collection value sets built from
+ * the product (CollectionTaxonomyProduct) are marked stale; stale sets are
+ * skipped until refreshStaleCollectionTaxonomies rebuilds them.
+ * @param {string} shopDomain
+ * @param {string} topic
+ * @param {object} payload - Webhook body (REST product shape; deletes only carry id)
+ * @returns {Promise<boolean>} Whether collection value sets were marked stale
+ */
+export async function applyProductChange(shopDomain, topic, payload) {
+  const shopRecord = await prisma.shop.findUnique({ where: { domain: shopDomain } });
+  if (!shopRecord || !payload?.id) return false;
+
+  if (!shopRecord.variantOptionsSyncedAt) {
+    // Backdate rather than clear: a shop with data resyncs in the background
+    // instead of blocking the next customer query on an inline sync
+    await prisma.shop.update({
+      where: { id: shopRecord.id },
+      data: { taxonomySyncedAt: shopRecord.taxonomySyncedAt ? new Date(0) : null },
+    });
+    console.log(`[Webhook] No catalog snapshot yet for ${shopDomain} — marked taxonomy stale`);
+    return false;
+  }
+
+  const shopId = shopRecord.id;
+  const productId = productIdOf(payload.id);
+  const deletedKey = `${shopId}:${productId}`;
+
+  if (topic === "PRODUCTS_DELETE") {
+    await deletedProducts.set(deletedKey, true, DELETED_PRODUCT_TTL_MS);
+  } else if (await deletedProducts.get(deletedKey)) {
+    console.log(`[Webhook] ${topic} for deleted product ${productId} on ${shopDomain} — skipped`);
+    return false;
+  }
+
+  const where = { shopId_productId: { shopId, productId } };
+  const beforeRow = await prisma.taxonomyProduct.findUnique({ where });
+  const before = beforeRow ? snapshotFromRow(beforeRow) : null;
+  const after = topic === "PRODUCTS_DELETE" ? null : snapshotFromWebhook(payload);
+
+  if (after?.updatedAt && before?.updatedAt && after.updatedAt < before.updatedAt) {
+    console.log(`[Webhook] ${topic} for product ${productId} on ${shopDomain} is older than the stored version — skipped`);
+    return false;
+  }
+
+  if (after) await writeSnapshots(shopId, [after]);
+  else if (beforeRow) await prisma.taxonomyProduct.delete({ where });
+  else return false;
+
+  // Net change per value: -1 for values only the old version had, +1 for new ones
+  const deltas = new Map();
+  for (const [snapshot, delta] of [[before, -1], [after, 1]]) {
+    for (const v of snapshotValues(snapshot)) {
+      const key = valueKey(v);
+      const entry = deltas.get(key) || { ...v, delta: 0 };
+      entry.delta += delta;
+      deltas.set(key, entry);
+    }
+  }
+
+  const changed = { values: new Set(), price: false };
+  const now = new Date();
+
+  // Single-statement increments, so concurrent webhooks for products sharing
+  // a value can't overwrite each other's counts
+  for (const v of deltas.values()) {
+    if (v.delta === 0) continue;
+
+    const identity = { shopId, kind: v.kind, optionName: v.optionName, value: v.value };
+    if (v.delta > 0) {
+      const row = await prisma.taxonomyValue.upsert({
+        where: { shopId_kind_optionName_value: identity },
+        create: { ...identity, productCount: v.delta, firstSeenAt: now, lastSeenAt: now },
+        update: { productCount: { increment: v.delta }, lastSeenAt: now },
+      });
+      // Counted from zero: the value is new to the catalog
+      if (row.productCount === v.delta) changed.values.add(v.value.toLowerCase());
+    } else {
+      await prisma.taxonomyValue.updateMany({
+        where: identity,
+        data: { productCount: { increment: v.delta } },
+      });
+      // The last product using this value is gone
+      const { count } = await prisma.taxonomyValue.deleteMany({
+        where: { ...identity, productCount: { lte: 0 } },
+      });
+      if (count > 0) changed.values.add(v.value.toLowerCase());
+    }
+  }
+
+  if (before?.minPrice !== after?.minPrice || before?.maxPrice !== after?.maxPrice) {
+    const priceRange = await snapshotPriceRange(shopId);
+    if (priceRange.priceMin !== shopRecord.priceMin || priceRange.priceMax !== shopRecord.priceMax) {
+      await prisma.shop.update({ where: { id: shopId }, data: priceRange });
+      changed.price = true;
+    }
+  }
+
+  if (changed.values.size > 0 || changed.price) {
+    await cacheFlushWhere(shopDomain, (value) => filtersReference(value.filters, changed));
+  }
+
+  const productChanged =
+    [...deltas.values()].some((v) => v.delta !== 0) ||
+    before?.minPrice !== after?.minPrice ||
+    before?.maxPrice !== after?.maxPrice;
+  const { count: staleCollections } = productChanged
+    ? await prisma.collectionTaxonomy.updateMany({
+      where: { shopId, staleAt: null, products: { some: { productId } } },
+      data: { staleAt: now },
+    })
+    : { count: 0 };
+
+  console.log(
+    `[Webhook] ${topic} applied to ${shopDomain} taxonomy — ` +
+    `${changed.values.size} values added/removed${changed.price ? ", price range changed" : ""}` +
+    (staleCollections > 0 ? `, ${staleCollections} collection value sets marked stale` : "")
+  );
+  return productChanged;
+}
@@ -0,0 +1,220 @@
+import { applySynonym, buildSynonymMap, fuzzyMatchValue } from "../utils/fuzzyMatch.js";
+
+/**
+ * Deterministic, rule-based query parser used when the LLM times out, errors
+ * or returns no tool call. Works only from the synced taxonomy, so results are
+ * always valid catalog values — just less clever than the model's.
+ */
+
+const MAX_NGRAM = 3;
+const MIN_FUZZY_LENGTH = 4;
+
+const STOPWORDS = new Set([
+  "a", "an", "the", "and", "or", "for", "with", "in", "on", "of", "to", "by",
+  "me", "my", "i", "im", "i'm", "want", "need", "looking", "show", "find",
+  "some", "any", "that", "are", "is", "please", "something", "products", "items",
+  "size", "color", "colour",
+  // Refinement filler ("only in blue", "just the cheaper ones instead")
+  "only", "just", "instead", "also", "now", "it", "ones",
+]);
+
+const FILTER_ORDER = ["productType", "productVendor", "variantOption", "metafield", "tag", "price"];
+
+const NUM = "(\\d+(?:[.,]\\d{1,2})?)";
+const CUR = "(?:[$€£]\\s*)?";
+const UNIT = "(?:\\s*(?:dollars?|usd|eur|euros?|gbp|pounds?|bucks|kr|dkk|sek|nok))?";
+
+const PRICE_PATTERNS = [
+  {
+    // "between 20 and 40", "from $20 to $40"
+    re: new RegExp(`(?:between|from)\\s*${CUR}${NUM}${UNIT}\\s*(?:-|–|to|and)\\s*${CUR}${NUM}${UNIT}`, "i"),
+    toPrice: (m) => ({ min: toNumber(m[1]), max: toNumber(m[2]) }),
+  },
+  {
+    // "$20-40", "$20 – $40" (a bare "10-12" is more likely a size than a price)
+    re: new RegExp(`[$€£]\\s*${NUM}\\s*(?:-|–|to)\\s*${CUR}${NUM}`, "i"),
+    toPrice: (m) => ({ min: toNumber(m[1]), max: toNumber(m[2]) }),
+  },
+  {
+    // "under $50", "below 50 dollars", "less than 50", "max 50", "up to 50", "cheaper than 50"
+    re: new RegExp(`(?:under|below|less than|cheaper than|at most|max(?:imum)?|up to|no more than|<=?)\\s*${CUR}${NUM}${UNIT}`, "i"),
+    toPrice: (m) => ({ max: toNumber(m[1]) }),
+  },
+  {
+    // "over $50", "above 50", "more than 50", "at least 50", "min 50", "from 50"
+    re: new RegExp(`(?:over|above|more than|at least|min(?:imum)?|from|>=?)\\s*${CUR}${NUM}${UNIT}`, "i"),
+    toPrice: (m) => ({ min: toNumber(m[1]) }),
+  },
+];
+
+function toNumber(str) {
+  return parseFloat(str.replace(",", "."));
+}
+
+/**
+ * Pull the first price phrase out of the query.
+ * @param {string} text
+ * @returns {{ price: {min?: number, max?: number}|null, rest: string }}
+ */
+export function extractPrice(text) {
+  for (const { re, toPrice } of PRICE_PATTERNS) {
+    const match = text.match(re);
+    if (match) {
+      const price = toPrice(match);
+      if (price.min !== undefined && price.max !== undefined && price.min > price.max) {
+        [price.min, price.max] = [price.max, price.min];
+      }
+      return { price, rest: text.replace(match[0], " ") };
+    }
+  }
+  return { price: null, rest: text };
+}
+
+/**
+ * Naive singular form so "shoes" can hit "Shoe" and vice versa.
+ * @param {string} word
+ * @returns {string}
+ */
+function singularize(word) {
+  if (word.length > 4 && word.endsWith("ies")) return word.slice(0, -3) + "y";
+  if (word.length > 3 && word.endsWith("es") && /(s|x|z|ch|sh)es$/.test(word)) return word.slice(0, -2);
+  if (word.length > 3 && word.endsWith("s") && !word.endsWith("ss")) return word.slice(0, -1);
+  return word;
+}
+
+/**
+ * Match a phrase against known values. Exact and singular matches always count;
+ * fuzzy/substring matching is only tried for single words against longer values,
+ * otherwise "red shoes" would swallow "Shoes" and "sweater" would hit size "S".
+ * @param {string} phrase
+ * @param {string[]} knownValues
+ * @param {Map<string, string>} synonymMap
+ * @returns {string|null}
+ */
+function matchPhrase(phrase, knownValues, synonymMap) {
+  if (!knownValues || knownValues.length === 0) return null;
+
+  const synonym = applySynonym(phrase, knownValues, synonymMap);
+  if (synonym !== phrase) return synonym;
+
+  const lower = phrase.toLowerCase();
+  const singular = singularize(lower);
+  const exact = knownValues.find((v) => {
+    const vl = v.toLowerCase();
+    return vl === lower || vl === singular || singularize(vl) === singular;
+  });
+  if (exact) return exact;
+
+  if (phrase.length < MIN_FUZZY_LENGTH || phrase.includes(" ")) return null;
+
+  const candidates = knownValues.filter((v) => v.length >= MIN_FUZZY_LENGTH);
+  const fuzzy = fuzzyMatchValue(phrase, candidates);
+  return candidates.includes(fuzzy) ? fuzzy : null;
+}
+
+/**
+ * Parse a customer query into filters using only the store taxonomy.
+ * @param {string} userQuery
+ * @param {{ productTypes?: string[], vendors?: string[], tags?: string[], variantOptions?: {name: string, values: string[]}[], metafieldFilters?: {param: string, label: string, values: {label: string, value: string}[]}[] }|null} taxonomyContext
+ * @param {{ term: string, canonical: string }[]} [synonyms] - Merchant synonym dictionary
+ * @returns {{ filters: Array, searchQuery: string, explanation: string }}
+ */
+export function parseQueryLocally(userQuery, taxonomyContext, synonyms = []) {
+  const taxonomy = taxonomyContext || {};
+  const synonymMap = buildSynonymMap(synonyms);
+  const filters = [];
+
+  const { price, rest } = extractPrice(userQuery);
+
+  const tokens = rest
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}'\-\s]/gu, " ")
+    .split(/\s+/)
+    .filter(Boolean);
+  const consumed = new Array(tokens.length).fill(false);
+
+  // Each matcher claims at most one value; the first to match a span wins it
+  const matchers = [
+    { key: "productType", values: taxonomy.productTypes },
+    { key: "productVendor", values: taxonomy.vendors },
+    ...(taxonomy.variantOptions || []).map((o) => ({ key: "variantOption", option: o, values: o.values })),
+    ...(taxonomy.metafieldFilters || []).map((m) => ({ key: "metafield", metafield: m, values: m.values.map((v) => v.label) })),
+    { key: "tag", values: taxonomy.tags },
+  ];
+
+  for (let size = MAX_NGRAM; size >= 1; size--) {
+    for (let i = 0; i + size <= tokens.length; i++) {
+      if (consumed.slice(i, i + size).some(Boolean)) continue;
+
+      const span = tokens.slice(i, i + size);
+      if (size === 1 && STOPWORDS.has(span[0])) continue;
+      const phrase = span.join(" ");
+
+      for (const matcher of matchers) {
+        if (matcher.matched) continue;
+        const value = matchPhrase(phrase, matcher.values, synonymMap);
+        if (!value) continue;
+
+        matcher.matched = true;
+        if (matcher.key === "variantOption") {
+          filters.push({ variantOption: { name: matcher.option.name, value } });
+        } else if (matcher.key === "metafield") {
+          const match = matcher.metafield.values.find((v) => v.label === value);
+          filters.push({
+            metafield: { param: matcher.metafield.param, name: matcher.metafield.label, value: match.value, label: value },
+          });
+        } else {
+          filters.push({ [matcher.key]: value });
+        }
+        consumed.fill(true, i, i + size);
+        break;
+      }
+    }
+  }
+
+  if (price) filters.push({ price });
+  filters.sort(
+    (a, b) => FILTER_ORDER.indexOf(Object.keys(a)[0]) - FILTER_ORDER.indexOf(Object.keys(b)[0]),
+  );
+
+  const leftover = tokens
+    .filter((t, i) => !consumed[i] && !STOPWORDS.has(t))
+    .join(" ");
+  const searchQuery = filters.length === 0 ? userQuery.trim() : leftover;
+
+  return {
+    filters,
+    searchQuery,
+    explanation: describeFilters(filters, searchQuery),
+  };
+}
+
+/**
+ * One-sentence explanation of locally parsed filters.
+ * @param {Array} filters
+ * @param {string} searchQuery
+ * @returns {string}
+ */
+function describeFilters(filters, searchQuery) {
+  if (filters.length === 0) {
+    return searchQuery
+      ? `Searching all products for "${searchQuery}".`
+      : "Showing all products.";
+  }
+
+  const parts = filters.map((f) => {
+    if (f.productType) return f.productType;
+    if (f.productVendor) return `by ${f.productVendor}`;
+    if (f.variantOption) return `${f.variantOption.name.toLowerCase()} ${f.variantOption.value}`;
+    if (f.metafield) return `${f.metafield.name.toLowerCase()} ${f.metafield.label}`;
+    if (f.tag) return `tagged ${f.tag}`;
+    if (f.price) {
+      if (f.price.min !== undefined && f.price.max !== undefined) return `priced ${f.price.min}–${f.price.max}`;
+      if (f.price.max !== undefined) return `under ${f.price.max}`;
+      return `over ${f.price.min}`;
+    }
+    return null;
+  }).filter(Boolean);
+
+  return `Showing ${parts.join(", ")}.`;
+}
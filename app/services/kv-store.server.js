@@ -0,0 +1,365 @@
+import prisma from "../db.server";
+import { createClient } from "redis";
+
+/**
+ * Key-value storage behind the query cache (utils/queryCache.server.js) and the
+ * rate limiter (utils/rateLimiter.js). Every backend implements the same
+ * async interface:
+ *
+ *   get(key)                      → value, or undefined on miss/expiry
+ *   set(key, value, ttlMs)
+ *   delete(key)
+ *   deleteWhere(prefix, predicate?) → number of keys removed
+ *   takeToken(key, bucket)        → token-bucket check, see takeFromBucket
+ *   peekToken(key, bucket)        → the same check without taking the token
+ *
+ * STORE_BACKEND picks the backend: "memory" (default, per process),
+ * "prisma" (the app database) or "redis" (REDIS_URL). The last two are shared
+ * between instances, so every instance sees the same cache and limits.
+ */
+
+export const STORE_BACKENDS = ["memory", "prisma", "redis"];
+
+const CLEANUP_INTERVAL_MS = 60_000;
+const PRUNE_EVERY_WRITES = 100; // Prisma: drop expired rows every N writes
+const SCAN_BATCH_SIZE = 200;
+const REDIS_COMMAND_TIMEOUT_MS = 2000;
+
+/**
+ * Refill a token bucket up to `now` and take one token if there is one.
+ * A missing bucket is full. Rejections take nothing, so retrying early
+ * doesn't push the next allowed request further out.
+ * @param {{ tokens: number, at: number }|null} state - Stored bucket, `at` in ms
+ * @param {number} now
+ * @param {{ capacity: number, refillPerMs: number }} bucket
+ * @returns {{ allowed: boolean, state: { tokens: number, at: number }, tokens: number, retryAfterMs: number, resetMs: number }}
+ */
+export function takeFromBucket(state, now, { capacity, refillPerMs }) {
+  const available = state
+    ? Math.min(capacity, state.tokens + Math.max(0, now - state.at) * refillPerMs)
+    : capacity;
+  const allowed = available >= 1;
+  const tokens = allowed ? available - 1 : available;
+
+  return {
+    allowed,
+    state: { tokens, at: now },
+    tokens,
+    retryAfterMs: allowed ? 0 : Math.ceil((1 - tokens) / refillPerMs),
+    resetMs: Math.ceil((capacity - tokens) / refillPerMs), // until the bucket is full again
+  };
+}
+
+// Redis side of takeFromBucket, atomic and on the server's clock. ARGV[3] is
+// "0" to only peek, leaving the bucket as it was.
+const TOKEN_BUCKET_SCRIPT = `
+local capacity = tonumber(ARGV[1])
+local refill = tonumber(ARGV[2])
+local take = ARGV[3] ~= '0'
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+local state = redis.call('HMGET', KEYS[1], 'tokens', 'at')
+local tokens = capacity
+if state[1] then
+  tokens = math.min(capacity, tonumber(state[1]) + math.max(0, now - tonumber(state[2])) * refill)
+end
+local allowed = 0
+if tokens >= 1 then
+  tokens = tokens - 1
+  allowed = 1
+end
+if take then
+  redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'at', tostring(now))
+  redis.call('PEXPIRE', KEYS[1], math.ceil((capacity - tokens) / refill) + 1)
+end
+return { allowed, tostring(tokens) }
+`;
+
+/**
+ * Process-local store. LRU when `maxEntries` is set: reads move an entry to
+ * the end and writes evict from the front.
+ * @param {{ maxEntries?: number }} [options]
+ */
+export function createMemoryStore({ maxEntries = Infinity } = {}) {
+  const entries = new Map(); // key → { value, expiresAt }
+
+  const live = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return undefined;
+    }
+    return entry;
+  };
+
+  // Periodically clean up expired entries to prevent memory leaks
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt <= now) entries.delete(key);
+    }
+  }, CLEANUP_INTERVAL_MS).unref();
+
+  return {
+    async get(key) {
+      const entry = live(key);
+      if (!entry) return undefined;
+      // LRU: move to end
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.value;
+    },
+
+    async set(key, value, ttlMs) {
+      // Delete first so re-set moves it to end
+      entries.delete(key);
+      if (entries.size >= maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    },
+
+    async deleteWhere(prefix, predicate) {
+      let removed = 0;
+      for (const [key, entry] of entries) {
+        if (key.startsWith(prefix) && (!predicate || predicate(entry.value))) {
+          entries.delete(key);
+          removed++;
+        }
+      }
+      return removed;
+    },
+
+    async takeToken(key, bucket) {
+      const now = Date.now();
+      const result = takeFromBucket(live(key)?.value ?? null, now, bucket);
+      // A full bucket is the same as no bucket, so the entry can expire then
+      entries.set(key, { value: result.state, expiresAt: now + result.resetMs + 1 });
+      return result;
+    },
+
+    async peekToken(key, bucket) {
+      return takeFromBucket(live(key)?.value ?? null, Date.now(), bucket);
+    },
+  };
+}
+
+/**
+ * Store in the KeyValue table. Values are JSON. `maxEntries` is enforced when
+ * expired rows are pruned, oldest write first.
+ * @param {string} namespace - Key prefix separating the cache from the limiter
+ * @param {{ maxEntries?: number }} [options]
+ */
+export function createPrismaStore(namespace, { maxEntries = Infinity } = {}) {
+  const ns = `${namespace}:`;
+  let writes = 0;
+
+  async function prune() {
+    await prisma.keyValue.deleteMany({ where: { key: { startsWith: ns }, expiresAt: { lte: new Date() } } });
+    if (!Number.isFinite(maxEntries)) return;
+
+    const excess = await prisma.keyValue.findMany({
+      where: { key: { startsWith: ns } },
+      orderBy: { updatedAt: "desc" },
+      skip: maxEntries,
+      select: { key: true },
+    });
+    if (excess.length > 0) {
+      await prisma.keyValue.deleteMany({ where: { key: { in: excess.map((e) => e.key) } } });
+    }
+  }
+
+  function afterWrite() {
+    writes = (writes + 1) % PRUNE_EVERY_WRITES;
+    if (writes === 0) {
+      prune().catch((err) => console.warn(`[Store] Prune failed for ${namespace}:`, err.message));
+    }
+  }
+
+  return {
+    async get(key) {
+      const row = await prisma.keyValue.findUnique({ where: { key: ns + key } });
+      if (!row || row.expiresAt <= new Date()) return undefined;
+      return JSON.parse(row.value);
+    },
+
+    async set(key, value, ttlMs) {
+      const data = { value: JSON.stringify(value), expiresAt: new Date(Date.now() + ttlMs) };
+      await prisma.keyValue.upsert({ where: { key: ns + key }, create: { key: ns + key, ...data }, update: data });
+      afterWrite();
+    },
+
+    async delete(key) {
+      await prisma.keyValue.deleteMany({ where: { key: ns + key } });
+    },
+
+    async deleteWhere(prefix, predicate) {
+      const where = { key: { startsWith: ns + prefix } };
+      if (!predicate) {
+        const { count } = await prisma.keyValue.deleteMany({ where });
+        return count;
+      }
+
+      const rows = await prisma.keyValue.findMany({ where, select: { key: true, value: true } });
+      const keys = rows.filter((row) => predicate(JSON.parse(row.value))).map((row) => row.key);
+      if (keys.length === 0) return 0;
+      const { count } = await prisma.keyValue.deleteMany({ where: { key: { in: keys } } });
+      return count;
+    },
+
+    async takeToken(key, bucket) {
+      const result = await prisma.$transaction(async (tx) => {
+        const now = Date.now();
+        const row = await tx.keyValue.findUnique({ where: { key: ns + key } });
+        const state = row && row.expiresAt.getTime() > now ? JSON.parse(row.value) : null;
+
+        const taken = takeFromBucket(state, now, bucket);
+        const data = { value: JSON.stringify(taken.state), expiresAt: new Date(now + taken.resetMs + 1) };
+        await tx.keyValue.upsert({ where: { key: ns + key }, create: { key: ns + key, ...data }, update: data });
+        return taken;
+      });
+      afterWrite();
+      return result;
+    },
+
+    async peekToken(key, bucket) {
+      const now = Date.now();
+      const row = await prisma.keyValue.findUnique({ where: { key: ns + key } });
+      const state = row && row.expiresAt.getTime() > now ? JSON.parse(row.value) : null;
+      return takeFromBucket(state, now, bucket);
+    },
+  };
+}
+
+/**
+ * Store on a Redis-protocol server. Expiry uses key TTLs; capping the size is
+ * left to the server's maxmemory policy (allkeys-lru or volatile-lru).
+ * @param {string} namespace - Key prefix separating the cache from the limiter
+ * @param {import("redis").RedisClientType} client - From the `redis` package, connected or connecting
+ */
+export function createRedisStore(namespace, client) {
+  const ns = `aifilter:${namespace}:`;
+  const globEscape = (str) => str.replace(/[*?[\]\\]/g, "\\$&");
+
+  async function runBucketScript(key, { capacity, refillPerMs }, take) {
+    const [allowed, remaining] = await client.eval(TOKEN_BUCKET_SCRIPT, {
+      keys: [ns + key],
+      arguments: [String(capacity), String(refillPerMs), take ? "1" : "0"],
+    });
+    const tokens = Number(remaining);
+    return {
+      allowed: allowed === 1,
+      tokens,
+      retryAfterMs: allowed === 1 ? 0 : Math.ceil((1 - tokens) / refillPerMs),
+      resetMs: Math.ceil((capacity - tokens) / refillPerMs),
+    };
+  }
+
+  return {
+    async get(key) {
+      const value = await client.get(ns + key);
+      return value === null ? undefined : JSON.parse(value);
+    },
+
+    async set(key, value, ttlMs) {
+      await client.set(ns + key, JSON.stringify(value), {
+        expiration: { type: "PX", value: Math.max(1, Math.round(ttlMs)) },
+      });
+    },
+
+    async delete(key) {
+      await client.del(ns + key);
+    },
+
+    async deleteWhere(prefix, predicate) {
+      let cursor = "0";
+      let removed = 0;
+      do {
+        const { cursor: next, keys } = await client.scan(cursor, {
+          MATCH: `${globEscape(ns + prefix)}*`,
+          COUNT: SCAN_BATCH_SIZE,
+        });
+        cursor = next;
+        if (keys.length === 0) continue;
+
+        let doomed = keys;
+        if (predicate) {
+          const values = await client.mGet(keys);
+          doomed = keys.filter((_, i) => values[i] !== null && predicate(JSON.parse(values[i])));
+        }
+        if (doomed.length > 0) {
+          removed += await client.del(doomed);
+        }
+      } while (cursor !== "0");
+      return removed;
+    },
+
+    async takeToken(key, bucket) {
+      return runBucketScript(key, bucket, true);
+    },
+
+    async peekToken(key, bucket) {
+      return runBucketScript(key, bucket, false);
+    },
+  };
+}
+
+let redisClient = null;
+const stores = new Map();
+
+/**
+ * A client for REDIS_URL that connects in the background and reconnects on
+ * its own. Commands wait for the connection but fail after 2 s, which the
+ * cache and rate limiter treat like any other store error.
+ * @param {string} url - redis:// or rediss://, optional password and db number
+ */
+function connectRedis(url) {
+  const client = createClient({ url });
+  client.on("error", (err) => console.warn("[Store] Redis error:", err.message));
+  client.connect().catch((err) => console.error("[Store] Redis connection failed:", err.message));
+  return client.withCommandOptions({ timeout: REDIS_COMMAND_TIMEOUT_MS });
+}
+
+/**
+ * The configured backend name.
+ * @returns {"memory"|"prisma"|"redis"}
+ */
+export function storeBackend() {
+  const backend = (process.env.STORE_BACKEND || "memory").toLowerCase();
+  if (!STORE_BACKENDS.includes(backend)) {
+    throw new Error(`Unknown STORE_BACKEND "${backend}" (expected ${STORE_BACKENDS.join(", ")})`);
+  }
+  if (backend === "redis" && !process.env.REDIS_URL) {
+    throw new Error("STORE_BACKEND=redis requires REDIS_URL");
+  }
+  return backend;
+}
+
+/**
+ * The store for a namespace on the configured backend, created once per process.
+ * @param {string} namespace - e.g. "cache" or "ratelimit"
+ * @param {{ maxEntries?: number }} [options]
+ */
+export function getKeyValueStore(namespace, options = {}) {
+  if (stores.has(namespace)) return stores.get(namespace);
+
+  const backend = storeBackend();
+  let store;
+  if (backend === "redis") {
+    if (!redisClient) redisClient = connectRedis(process.env.REDIS_URL);
+    store = createRedisStore(namespace, redisClient);
+  } else if (backend === "prisma") {
+    store = createPrismaStore(namespace, options);
+  } else {
+    store = createMemoryStore(options);
+  }
+
+  console.log(`[Store] ${namespace} uses the ${backend} backend`);
+  stores.set(namespace, store);
+  return store;
+}
@@ -0,0 +1,140 @@
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, it, vi } from "vitest";
+import { createClient } from "redis";
+import prismaStub from "../db.server";
+import { startRedisStub } from "../test/redis-stub-server.js";
+import { createMemoryStore, createPrismaStore, createRedisStore } from "./kv-store.server.js";
+
+// vi.mock is hoisted above the imports
+vi.mock("../db.server", async () => {
+  const { createPrismaKeyValueStub } = await import("../test/prisma-key-value-stub.js");
+  return { default: createPrismaKeyValueStub() };
+});
+
+const HOUR_MS = 60 * 60 * 1000;
+const bucket = { capacity: 3, refillPerMs: 1 / 1000 }; // one token a second
+
+let redisStub;
+let redisClient;
+
+beforeAll(async () => {
+  redisStub = await startRedisStub();
+  redisClient = createClient({ url: redisStub.url });
+  redisClient.on("error", () => {});
+  await redisClient.connect();
+});
+
+afterAll(async () => {
+  await redisClient.close();
+  await redisStub.close();
+});
+
+const backends = [
+  ["memory", () => createMemoryStore()],
+  ["prisma", () => createPrismaStore("test")],
+  ["redis", () => createRedisStore("test", redisClient)],
+];
+
+describe.each(backends)("%s store", (name, create) => {
+  let store;
+
+  beforeEach(async () => {
+    vi.useFakeTimers({ toFake: ["Date"], now: new Date("2026-03-01T12:00:00Z") });
+    store = create();
+    await store.deleteWhere("");
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("returns stored values until they expire", async () => {
+    await store.set("shop::a", { filters: [1] }, HOUR_MS);
+    expect(await store.get("shop::a")).toEqual({ filters: [1] });
+
+    await store.delete("shop::a");
+    expect(await store.get("shop::a")).toBeUndefined();
+
+    await store.set("shop::b", { filters: [] }, 1000);
+    vi.setSystemTime(Date.now() + 1001);
+    expect(await store.get("shop::b")).toBeUndefined();
+  });
+
+  describe("takeToken", () => {
+    it("allows up to the bucket's capacity, then rejects", async () => {
+      const results = [];
+      for (let i = 0; i < 4; i++) results.push(await store.takeToken("visitor", bucket));
+
+      expect(results.map((r) => r.allowed)).toEqual([true, true, true, false]);
+      expect(results[2].tokens).toBe(0);
+      expect(results[3].retryAfterMs).toBe(1000);
+      expect(results[3].resetMs).toBe(3000);
+    });
+
+    it("refills over time without a rejection costing a token", async () => {
+      for (let i = 0; i < 3; i++) await store.takeToken("visitor", bucket);
+      expect((await store.takeToken("visitor", bucket)).allowed).toBe(false);
+
+      vi.setSystemTime(Date.now() + 1000);
+      expect((await store.takeToken("visitor", bucket)).allowed).toBe(true);
+      expect((await store.takeToken("visitor", bucket)).allowed).toBe(false);
+    });
+
+    it("keeps separate buckets per key", async () => {
+      for (let i = 0; i < 3; i++) await store.takeToken("visitor-a", bucket);
+      expect((await store.takeToken("visitor-a", bucket)).allowed).toBe(false);
+      expect((await store.takeToken("visitor-b", bucket)).allowed).toBe(true);
+    });
+  });
+
+  describe("peekToken", () => {
+    it("reports the check without taking a token", async () => {
+      expect(await store.peekToken("visitor", bucket)).toMatchObject({ allowed: true, tokens: 2 });
+      expect(await store.peekToken("visitor", bucket)).toMatchObject({ allowed: true, tokens: 2 });
+
+      for (let i = 0; i < 3; i++) await store.takeToken("visitor", bucket);
+      expect(await store.peekToken("visitor", bucket)).toMatchObject({ allowed: false, retryAfterMs: 1000 });
+    });
+  });
+
+  describe("deleteWhere", () => {
+    beforeEach(async () => {
+      await store.set("shop-1.myshopify.com::all::red shoe", { filters: [{ tag: "red" }] }, HOUR_MS);
+      await store.set("shop-1.myshopify.com::sale::blue", { filters: [{ tag: "blue" }] }, HOUR_MS);
+      await store.set("shop-2.myshopify.com::all::red shoe", { filters: [{ tag: "red" }] }, HOUR_MS);
+    });
+
+    it("removes every key under a prefix and counts them", async () => {
+      expect(await store.deleteWhere("shop-1.myshopify.com::")).toBe(2);
+      expect(await store.get("shop-1.myshopify.com::all::red shoe")).toBeUndefined();
+      expect(await store.get("shop-2.myshopify.com::all::red shoe")).toBeDefined();
+    });
+
+    it("removes only values matching the predicate", async () => {
+      const mentionsRed = (value) => value.filters.some((f) => f.tag === "red");
+      expect(await store.deleteWhere("shop-1.myshopify.com::", mentionsRed)).toBe(1);
+      expect(await store.get("shop-1.myshopify.com::all::red shoe")).toBeUndefined();
+      expect(await store.get("shop-1.myshopify.com::sale::blue")).toBeDefined();
+    });
+
+    it("treats the prefix literally", async () => {
+      expect(await store.deleteWhere("shop-*")).toBe(0);
+      expect(await store.deleteWhere("shop-?.myshopify.com::")).toBe(0);
+    });
+  });
+
+  if (name === "prisma") {
+    it("keeps its keys apart from other namespaces", async () => {
+      await createPrismaStore("other").set("shop-1.myshopify.com::x", 1, HOUR_MS);
+      await store.set("shop-1.myshopify.com::x", 2, HOUR_MS);
+      expect(await store.deleteWhere("shop-1.myshopify.com::")).toBe(1);
+      expect(prismaStub.rows.has("other:shop-1.myshopify.com::x")).toBe(true);
+    });
+  }
+
+  if (name === "redis") {
+    it("stores keys under its namespace with a TTL", async () => {
+      await store.set("shop-1.myshopify.com::x", 1, HOUR_MS);
+      expect(redisStub.keys()).toContain("aifilter:test:shop-1.myshopify.com::x");
+    });
+  }
+});
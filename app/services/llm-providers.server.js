@@ -0,0 +1,178 @@
+import { parseQueryLocally } from "./fallback-parser.server.js";
+
+/**
+ * LLM provider registry. Every provider speaks the OpenAI chat-completions
+ * shape (messages + tools in, choices[].message.tool_calls out), so the
+ * tool-call parsing and post-processing in ai-filter.server.js is shared.
+ */
+
+const OPENROUTER_API_KEY = process.env.OPENROUTER_API_KEY;
+const OPENAI_COMPAT_BASE_URL = process.env.OPENAI_COMPAT_BASE_URL || "";
+const OPENAI_COMPAT_API_KEY = process.env.OPENAI_COMPAT_API_KEY || "";
+
+export const DEFAULT_PROVIDER = process.env.LLM_PROVIDER || "openrouter";
+
+// The offline provider answers without a model, so production only offers it when asked to
+const OFFLINE_PROVIDER_ENABLED =
+  process.env.NODE_ENV !== "production" || process.env.ENABLE_OFFLINE_PROVIDER === "true";
+
+/**
+ * Models a shop may pick for a provider: the comma-separated env override, or
+ * the built-in list. The provider's default model is always included.
+ * @param {string} defaultModel
+ * @param {string|undefined} override - e.g. process.env.OPENROUTER_MODELS
+ * @param {string[]} [builtIn]
+ * @returns {string[]}
+ */
+function allowedModels(defaultModel, override, builtIn = []) {
+  const listed = override ? override.split(",").map((m) => m.trim()).filter(Boolean) : builtIn;
+  return [...new Set([defaultModel, ...listed])];
+}
+
+/**
+ * POST a chat-completions request to an OpenAI-compatible endpoint.
+ * @param {string} url - Full chat/completions URL
+ * @param {string} apiKey - Bearer token (omitted when empty, e.g. local servers)
+ * @param {object} request - { model, messages, tools, toolChoice, maxTokens, signal }
+ * @returns {Promise<object>} Parsed JSON response
+ */
+async function postChatCompletion(url, apiKey, request) {
+  const headers = { "Content-Type": "application/json" };
+  if (apiKey) headers["Authorization"] = `Bearer ${apiKey}`;
+
+  const res = await fetch(url, {
+    method: "POST",
+    headers,
+    body: JSON.stringify({
+      model: request.model,
+      max_tokens: request.maxTokens,
+      tools: request.tools,
+      tool_choice: request.toolChoice,
+      messages: request.messages,
+    }),
+    signal: request.signal,
+  });
+
+  if (!res.ok) {
+    console.warn(`[LLM] ${url} responded with HTTP ${res.status}`);
+  }
+
+  return res.json();
+}
+
+/**
+ * Deterministic provider for tests and offline development. Runs the
+ * rule-based parser and answers with the same tool-call shape a real model
+ * would produce, so the shared post-processing pipeline still runs.
+ * @param {object} request - { context: { userQuery, taxonomyContext, synonyms, conversation } }
+ * @returns {object}
+ */
+function offlineCompletion({ context }) {
+  const args = parseQueryLocally(
+    context?.userQuery || "",
+    context?.taxonomyContext,
+    context?.synonyms,
+  );
+
+  // With filters already applied, treat the query as a refinement of them
+  if (context?.conversation?.currentFilters?.length > 0) {
+    args.mode = "refine";
+    if (args.filters.length === 0) {
+      args.searchQuery = "";
+      args.explanation = "Keeping your current filters.";
+    }
+  }
+
+  return {
+    choices: [{
+      message: {
+        tool_calls: [{
+          type: "function",
+          function: { name: "apply_filters", arguments: JSON.stringify(args) },
+        }],
+      },
+    }],
+  };
+}
+
+const OPENROUTER_DEFAULT_MODEL = "google/gemini-2.5-flash-lite";
+const OPENAI_COMPAT_DEFAULT_MODEL = process.env.OPENAI_COMPAT_MODEL || "gpt-4o-mini";
+
+export const PROVIDERS = {
+  openrouter: {
+    label: "OpenRouter",
+    defaultModel: OPENROUTER_DEFAULT_MODEL,
+    models: allowedModels(OPENROUTER_DEFAULT_MODEL, process.env.OPENROUTER_MODELS, [
+      "google/gemini-2.5-flash",
+      "openai/gpt-4o-mini",
+      "openai/gpt-4.1-mini",
+      "anthropic/claude-3.5-haiku",
+    ]),
+    isConfigured: () => Boolean(OPENROUTER_API_KEY),
+    complete: (request) =>
+      postChatCompletion(
+        "https://openrouter.ai/api/v1/chat/completions",
+        OPENROUTER_API_KEY,
+        request,
+      ),
+  },
+  "openai-compatible": {
+    label: "OpenAI-compatible endpoint",
+    defaultModel: OPENAI_COMPAT_DEFAULT_MODEL,
+    models: allowedModels(OPENAI_COMPAT_DEFAULT_MODEL, process.env.OPENAI_COMPAT_MODELS),
+    isConfigured: () => Boolean(OPENAI_COMPAT_BASE_URL),
+    complete: (request) =>
+      postChatCompletion(
+        `${OPENAI_COMPAT_BASE_URL.replace(/\/+$/, "")}/chat/completions`,
+        OPENAI_COMPAT_API_KEY,
+        request,
+      ),
+  },
+  ...(OFFLINE_PROVIDER_ENABLED && {
+    offline: {
+      label: "Offline (deterministic, for testing)",
+      defaultModel: "offline",
+      models: ["offline"],
+      isConfigured: () => true,
+      complete: async (request) => offlineCompletion(request),
+    },
+  }),
+};
+
+/**
+ * Resolve which provider and model to use for a shop.
+ * Falls back to the env default when the shop has no choice or picked an unknown
+ * provider, and to the provider's default model when the model isn't on its list.
+ * @param {{ llmProvider?: string|null, llmModel?: string|null }|null} shopRecord
+ * @returns {{ name: string, model: string, provider: object }}
+ */
+export function resolveProvider(shopRecord) {
+  let name = shopRecord?.llmProvider || DEFAULT_PROVIDER;
+  if (!PROVIDERS[name]) {
+    console.warn(`[LLM] Unknown provider "${name}", using ${DEFAULT_PROVIDER}`);
+    name = PROVIDERS[DEFAULT_PROVIDER] ? DEFAULT_PROVIDER : "openrouter";
+  }
+
+  const provider = PROVIDERS[name];
+  let model = shopRecord?.llmModel?.trim() || provider.defaultModel;
+  if (!provider.models.includes(model)) {
+    console.warn(`[LLM] Model "${model}" is not allowed for ${name}, using ${provider.defaultModel}`);
+    model = provider.defaultModel;
+  }
+
+  return { name, model, provider };
+}
+
+/**
+ * List providers for the settings UI.
+ * @returns {{ id: string, label: string, defaultModel: string, models: string[], configured: boolean }[]}
+ */
+export function listProviders() {
+  return Object.entries(PROVIDERS).map(([id, p]) => ({
+    id,
+    label: p.label,
+    defaultModel: p.defaultModel,
+    models: p.models,
+    configured: p.isConfigured(),
+  }));
+}
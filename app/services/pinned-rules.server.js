@@ -0,0 +1,239 @@
+import prisma from "../db.server";
+import { normalizeQuery } from "../utils/queryCache.server.js";
+
+/**
+ * Merchant-pinned answers for specific queries. A matching rule returns its
+ * fixed filters directly, skipping the cache and the LLM.
+ */
+
+export const MATCH_TYPES = {
+  exact: { label: "Exact query" },
+  phrase: { label: "Contains phrase" },
+  regex: { label: "Regular expression" },
+};
+
+export const MAX_PATTERN_LENGTH = 200;
+
+/**
+ * Escape a string for literal use inside a RegExp.
+ * @param {string} str
+ * @returns {string}
+ */
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Why a regex could backtrack catastrophically, or null when it can't.
+ * JavaScript's engine backtracks, so a merchant pattern like `(a+)+$` would
+ * block the event loop for every shop. Rejected: backreferences and
+ * repeated groups that contain a quantifier or an alternation.
+ * @param {string} pattern
+ * @returns {string|null}
+ */
+export function unsafeRegexReason(pattern) {
+  const groups = [{ quantified: false, alternation: false }];
+
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    const top = groups[groups.length - 1];
+
+    if (ch === "\\") {
+      const next = pattern[i + 1];
+      if (/[1-9]/.test(next) || next === "k") return "backreferences are not supported";
+      i++;
+    } else if (ch === "[") {
+      // Skip the character class, escapes included
+      for (i++; i < pattern.length && pattern[i] !== "]"; i++) {
+        if (pattern[i] === "\\") i++;
+      }
+    } else if (ch === "(") {
+      groups.push({ quantified: false, alternation: false });
+      if (pattern[i + 1] === "?") i++; // (?:, (?=, (?<name>
+    } else if (ch === ")") {
+      if (groups.length === 1) continue; // unbalanced, RegExp reports it
+      const inner = groups.pop();
+      const repeated = /[*+{]/.test(pattern[i + 1] || "");
+      if (repeated && (inner.quantified || inner.alternation)) {
+        return "repeated groups can't contain quantifiers or alternatives";
+      }
+      const parent = groups[groups.length - 1];
+      parent.quantified = parent.quantified || inner.quantified || repeated;
+    } else if (ch === "|") {
+      top.alternation = true;
+    } else if (/[*+?{]/.test(ch)) {
+      // A "?" right after a quantifier only makes it lazy
+      if (ch !== "?" || !/[*+?}]/.test(pattern[i - 1])) top.quantified = true;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check whether a rule matches a normalized query.
+ * exact: the whole query equals the pattern; phrase: the pattern appears as
+ * whole words; regex: case-insensitive test against the normalized query.
+ * @param {{ matchType: string, pattern: string }} rule
+ * @param {string} normalized - Output of normalizeQuery()
+ * @returns {boolean}
+ */
+export function ruleMatches(rule, normalized) {
+  const pattern = rule.matchType === "regex" ? rule.pattern : normalizeQuery(rule.pattern);
+  if (!pattern) return false;
+
+  if (rule.matchType === "exact") return normalized === pattern;
+
+  if (rule.matchType === "phrase") {
+    return new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(pattern)}($|[^\\p{L}\\p{N}])`, "u").test(normalized);
+  }
+
+  if (rule.matchType === "regex") {
+    // Rules saved before patterns were checked are skipped, not run
+    if (pattern.length > MAX_PATTERN_LENGTH || unsafeRegexReason(pattern)) return false;
+    try {
+      return new RegExp(pattern, "i").test(normalized);
+    } catch {
+      return false;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Validate a rule's pattern before saving.
+ * @param {string} matchType
+ * @param {string} pattern
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateRulePattern(matchType, pattern) {
+  if (!MATCH_TYPES[matchType]) return "Unknown match type.";
+  if (!pattern) return "A pattern is required.";
+  if (pattern.length > MAX_PATTERN_LENGTH) {
+    return `Patterns must be under ${MAX_PATTERN_LENGTH} characters.`;
+  }
+
+  if (matchType === "regex") {
+    try {
+      new RegExp(pattern, "i");
+    } catch (err) {
+      return `Invalid regular expression: ${err.message}`;
+    }
+    const unsafe = unsafeRegexReason(pattern);
+    if (unsafe) return `This regular expression could be too slow to run: ${unsafe}.`;
+  }
+
+  return null;
+}
+
+/**
+ * Find the first enabled rule matching a query. Higher priority wins, then the oldest rule.
+ * @param {string} shopId
+ * @param {string} query
+ * @returns {Promise<{ id: string, filters: Array, searchQuery: string, explanation: string }|null>}
+ */
+export async function findPinnedRule(shopId, query) {
+  const rules = await prisma.pinnedRule.findMany({
+    where: { shopId, enabled: true },
+    orderBy: [{ priority: "desc" }, { createdAt: "asc" }],
+  });
+  if (rules.length === 0) return null;
+
+  const normalized = normalizeQuery(query);
+  const rule = rules.find((r) => ruleMatches(r, normalized));
+  if (!rule) return null;
+
+  let filters = [];
+  try {
+    filters = JSON.parse(rule.filters || "[]");
+  } catch {
+    console.warn(`[Rules] Rule ${rule.id} has invalid filters JSON — ignoring filters`);
+  }
+
+  return {
+    id: rule.id,
+    filters,
+    searchQuery: rule.searchQuery,
+    explanation: rule.explanation,
+  };
+}
+
+/**
+ * Build a rule's filter array from the admin form fields.
+ * @param {FormData} formData
+ * @returns {{ filters: Array, error: string|null }}
+ */
+export function buildRuleFilters(formData) {
+  const text = (name) => String(formData.get(name) || "").trim();
+  const filters = [];
+
+  if (text("productType")) filters.push({ productType: text("productType") });
+  if (text("productVendor")) filters.push({ productVendor: text("productVendor") });
+
+  for (const tag of text("tags").split(",").map((t) => t.trim()).filter(Boolean)) {
+    filters.push({ tag });
+  }
+
+  // One "Name: Value" pair per line, e.g. "Color: Red"
+  for (const line of text("variantOptions").split(/\r?\n/).map((l) => l.trim()).filter(Boolean)) {
+    const separator = line.indexOf(":");
+    const name = line.slice(0, separator).trim();
+    const value = line.slice(separator + 1).trim();
+    if (separator < 1 || !value) {
+      return { filters: [], error: `Variant options must look like "Color: Red" (got "${line}").` };
+    }
+    filters.push({ variantOption: { name, value } });
+  }
+
+  const price = {};
+  for (const bound of ["min", "max"]) {
+    const raw = text(`price${bound === "min" ? "Min" : "Max"}`);
+    if (!raw) continue;
+    const num = parseFloat(raw);
+    if (isNaN(num) || num < 0) return { filters: [], error: `Price ${bound} must be a positive number.` };
+    price[bound] = num;
+  }
+  if (price.min !== undefined && price.max !== undefined && price.min > price.max) {
+    [price.min, price.max] = [price.max, price.min];
+  }
+  if (Object.keys(price).length > 0) filters.push({ price });
+
+  if (formData.get("available") === "true") filters.push({ available: true });
+
+  return { filters, error: null };
+}
+
+/**
+ * Split a stored filter array back into the admin form fields.
+ * @param {Array} filters
+ * @returns {object}
+ */
+export function ruleFormValues(filters) {
+  const values = {
+    productType: "",
+    productVendor: "",
+    tags: [],
+    variantOptions: [],
+    priceMin: "",
+    priceMax: "",
+    available: false,
+  };
+
+  for (const f of filters) {
+    if (f.productType) values.productType = f.productType;
+    else if (f.productVendor) values.productVendor = f.productVendor;
+    else if (f.tag) values.tags.push(f.tag);
+    else if (f.variantOption) values.variantOptions.push(`${f.variantOption.name}: ${f.variantOption.value}`);
+    else if (f.price) {
+      values.priceMin = f.price.min ?? "";
+      values.priceMax = f.price.max ?? "";
+    } else if (f.available) values.available = true;
+  }
+
+  return {
+    ...values,
+    tags: values.tags.join(", "),
+    variantOptions: values.variantOptions.join("\n"),
+  };
+}
@@ -0,0 +1,271 @@
+import { describeFilter } from "../utils/filterLabels.js";
+
+/**
+ * Alternatives for a filter set that matched nothing, smallest change first:
+ * widen the price range, swap an option value for its nearest sibling (Navy
+ * for Blue, 43 for 42), then drop filters, least selective first according to
+ * the taxonomy's product counts. Each alternative carries a label for the
+ * customer and an expected product count.
+ */
+
+const PRICE_WIDEN_STEPS = [0.25, 0.5];
+const MAX_COUNTED_ALTERNATIVES = 8; // each one costs a Storefront request when counted
+export const MAX_OFFERED_ALTERNATIVES = 4;
+
+// Drop order for filters without a product count, least important first
+const FALLBACK_DROP_ORDER = ["available", "variantOption", "metafield", "tag", "price", "productVendor", "productType"];
+
+const LETTER_SIZES = ["XXS", "XS", "S", "M", "L", "XL", "XXL", "XXXL"];
+
+// Approximate RGB of common color names, to find a color's nearest sibling
+const COLOR_RGB = {
+  black: [0, 0, 0], white: [255, 255, 255], grey: [128, 128, 128], gray: [128, 128, 128],
+  silver: [192, 192, 192], charcoal: [54, 69, 79], red: [220, 20, 60], burgundy: [128, 0, 32],
+  maroon: [128, 0, 0], pink: [255, 105, 180], rose: [255, 0, 127], coral: [255, 127, 80],
+  orange: [255, 140, 0], yellow: [255, 215, 0], mustard: [225, 173, 1], gold: [212, 175, 55],
+  beige: [245, 245, 220], cream: [255, 253, 208], ivory: [255, 255, 240], tan: [210, 180, 140],
+  khaki: [195, 176, 145], brown: [139, 69, 19], camel: [193, 154, 107], olive: [128, 128, 0],
+  green: [34, 139, 34], mint: [152, 255, 152], sage: [178, 172, 136], teal: [0, 128, 128],
+  turquoise: [64, 224, 208], blue: [30, 144, 255], navy: [0, 0, 128], indigo: [75, 0, 130],
+  purple: [128, 0, 128], lavender: [230, 230, 250], lilac: [200, 162, 200], violet: [238, 130, 238],
+};
+
+const FILTER_KEYS = ["productType", "productVendor", "tag", "variantOption", "metafield", "price", "available"];
+
+/**
+ * The filter type of a single-key filter object.
+ * @param {object} filter
+ * @returns {string|undefined}
+ */
+const filterKey = (filter) => FILTER_KEYS.find((k) => filter[k] !== undefined && filter[k] !== null);
+
+/**
+ * Products carrying a filter's value, from the taxonomy counts.
+ * @param {object} filter
+ * @param {object|null} taxonomy - From loadTaxonomy
+ * @returns {number|null} null when the taxonomy has no count for it
+ */
+function valueCount(filter, taxonomy) {
+  const counts = taxonomy?.valueCounts || {};
+  if (filter.productType) return counts.productTypes?.[filter.productType] ?? null;
+  if (filter.productVendor) return counts.vendors?.[filter.productVendor] ?? null;
+  if (filter.tag) return counts.tags?.[filter.tag] ?? null;
+  if (filter.variantOption) {
+    const group = taxonomy?.variantOptions?.find(
+      (o) => o.name.toLowerCase() === filter.variantOption.name.toLowerCase(),
+    );
+    return group?.counts?.[filter.variantOption.value] ?? null;
+  }
+  return null;
+}
+
+/**
+ * Upper bound on the products matching a filter set: the smallest value count
+ * among its filters. Filters without counts (price, availability, metafields)
+ * can only narrow it further.
+ * @param {Array} filters
+ * @param {object|null} taxonomy
+ * @returns {number|null}
+ */
+function estimateCount(filters, taxonomy) {
+  const counts = filters.map((f) => valueCount(f, taxonomy)).filter((c) => c !== null);
+  return counts.length > 0 ? Math.min(...counts) : null;
+}
+
+/**
+ * RGB of the color a value names ("Navy Blue" → navy), or null.
+ * @param {string} value
+ * @returns {number[]|null}
+ */
+function colorOf(value) {
+  const words = value.toLowerCase().split(/[^a-z]+/);
+  const name = words.find((w) => COLOR_RGB[w]);
+  return name ? COLOR_RGB[name] : null;
+}
+
+/**
+ * The option value closest to `value` among the ones in stock elsewhere in
+ * the catalog: nearest color, nearest numeric size or neighbouring letter size.
+ * @param {string} value
+ * @param {string[]} siblings - Other values of the same option
+ * @returns {string|null}
+ */
+function nearestSibling(value, siblings) {
+  const rgb = colorOf(value);
+  if (rgb) {
+    let best = null;
+    let bestDistance = Infinity;
+    for (const sibling of siblings) {
+      const other = colorOf(sibling);
+      if (!other) continue;
+      const distance = Math.hypot(rgb[0] - other[0], rgb[1] - other[1], rgb[2] - other[2]);
+      if (distance < bestDistance) {
+        best = sibling;
+        bestDistance = distance;
+      }
+    }
+    return best;
+  }
+
+  const number = parseFloat(value);
+  if (!isNaN(number)) {
+    const numeric = siblings.filter((s) => !isNaN(parseFloat(s)));
+    numeric.sort((a, b) => Math.abs(parseFloat(a) - number) - Math.abs(parseFloat(b) - number));
+    return numeric[0] ?? null;
+  }
+
+  const index = LETTER_SIZES.indexOf(value.toUpperCase());
+  if (index !== -1) {
+    for (const neighbour of [LETTER_SIZES[index + 1], LETTER_SIZES[index - 1]]) {
+      const match = neighbour && siblings.find((s) => s.toUpperCase() === neighbour);
+      if (match) return match;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Widen a price filter by a fraction on each set bound.
+ * @param {{ min?: number, max?: number }} price
+ * @param {number} fraction
+ * @returns {{ min?: number, max?: number }}
+ */
+function widenPrice(price, fraction) {
+  const widened = {};
+  if (Number.isFinite(price.min)) widened.min = Math.max(0, Math.floor(price.min * (1 - fraction)));
+  if (Number.isFinite(price.max)) widened.max = Math.ceil(price.max * (1 + fraction));
+  return widened;
+}
+
+/**
+ * "60–130", "under 130" or "over 60".
+ * @param {{ min?: number, max?: number }} price
+ * @returns {string}
+ */
+function priceRangeText({ min, max }) {
+  if (min !== undefined && max !== undefined) return `${min}–${max}`;
+  return max !== undefined ? `under ${max}` : `over ${min}`;
+}
+
+/**
+ * Customer-facing name of a filter, with price ranges in words.
+ * @param {object} filter
+ * @returns {string}
+ */
+const filterLabel = (filter) => (filter.price ? `price ${priceRangeText(filter.price)}` : describeFilter(filter));
+
+/**
+ * Every alternative for a filter set, in order of how much it changes what
+ * the customer asked for. `rank` orders them; `estimate` is the count bound
+ * from the taxonomy.
+ * @param {Array} filters
+ * @param {object|null} taxonomy - From loadTaxonomy (valueCounts and option counts are used)
+ * @returns {{ filters: Array, label: string, change: "price"|"swap"|"drop", rank: number, estimate: number|null }[]}
+ */
+export function buildAlternatives(filters, taxonomy) {
+  const alternatives = [];
+  const replace = (index, filter) => filters.map((f, i) => (i === index ? filter : f));
+  const add = (alternative) => {
+    if (alternative.filters.length === 0) return;
+    alternatives.push({ ...alternative, estimate: estimateCount(alternative.filters, taxonomy) });
+  };
+
+  filters.forEach((filter, index) => {
+    if (filter.price) {
+      PRICE_WIDEN_STEPS.forEach((fraction, step) => {
+        const price = widenPrice(filter.price, fraction);
+        add({
+          filters: replace(index, { price }),
+          label: `Widen price to ${priceRangeText(price)}`,
+          change: "price",
+          rank: step === 0 ? 1 : 3,
+        });
+      });
+    }
+
+    if (filter.variantOption) {
+      const { name, value } = filter.variantOption;
+      const group = taxonomy?.variantOptions?.find((o) => o.name.toLowerCase() === name.toLowerCase());
+      const sibling = group && nearestSibling(value, group.values.filter((v) => v !== value));
+      if (sibling) {
+        add({
+          filters: replace(index, { variantOption: { name, value: sibling } }),
+          label: `Show ${name}: ${sibling} instead of ${value}`,
+          change: "swap",
+          rank: 2,
+        });
+      }
+    }
+  });
+
+  // Least selective first: the filter matching the most products costs the
+  // customer the least intent when removed. Filters without counts follow.
+  const drops = filters
+    .map((filter, index) => ({ filter, index, count: valueCount(filter, taxonomy) }))
+    .sort((a, b) => {
+      if (a.count !== null && b.count !== null) return b.count - a.count;
+      if (a.count !== null || b.count !== null) return a.count !== null ? -1 : 1;
+      return FALLBACK_DROP_ORDER.indexOf(filterKey(a.filter)) - FALLBACK_DROP_ORDER.indexOf(filterKey(b.filter));
+    });
+
+  drops.forEach((drop, i) => {
+    add({
+      filters: filters.filter((_, index) => index !== drop.index),
+      label: `Remove ${filterLabel(drop.filter)}`,
+      change: "drop",
+      rank: 4 + i,
+    });
+  });
+
+  // One multi-step option: drop the two least selective filters together
+  if (drops.length >= 3) {
+    const [first, second] = drops;
+    add({
+      filters: filters.filter((_, index) => index !== first.index && index !== second.index),
+      label: `Remove ${filterLabel(first.filter)} and ${filterLabel(second.filter)}`,
+      change: "drop",
+      rank: 4 + drops.length,
+    });
+  }
+
+  return alternatives.sort((a, b) => a.rank - b.rank);
+}
+
+/**
+ * Rank the alternatives for a zero-result filter set. With a counter (the
+ * Storefront preflight) alternatives are counted one at a time, best first,
+ * until `wanted` of them have results; ones that still match nothing are left
+ * out. Without a counter, or once a count fails, the taxonomy estimate is
+ * reported instead.
+ * @param {Array} filters
+ * @param {object|null} taxonomy
+ * @param {{ count?: ((filters: Array) => Promise<{ count: number, capped: boolean }|null>)|null, wanted?: number }} [options]
+ * @returns {Promise<{ filters: Array, label: string, change: string, expectedCount: number|null, countIsEstimate: boolean, countCapped: boolean }[]>}
+ */
+export async function rankAlternatives(filters, taxonomy, { count = null, wanted = MAX_OFFERED_ALTERNATIVES } = {}) {
+  const candidates = buildAlternatives(filters, taxonomy).slice(0, MAX_COUNTED_ALTERNATIVES);
+  const ranked = [];
+  let counting = !!count;
+
+  for (const alternative of candidates) {
+    if (ranked.length >= wanted) break;
+
+    const result = counting ? await count(alternative.filters).catch(() => null) : null;
+    // A failed or timed-out count would only slow down the rest
+    if (!result) counting = false;
+
+    const expectedCount = result ? result.count : alternative.estimate;
+    if (expectedCount === 0) continue;
+    ranked.push({
+      filters: alternative.filters,
+      label: alternative.label,
+      change: alternative.change,
+      expectedCount,
+      countIsEstimate: !result,
+      countCapped: !!result?.capped,
+    });
+  }
+
+  return ranked;
+}
@@ -0,0 +1,166 @@
+import { unauthenticated } from "../shopify.server";
+import { rankAlternatives } from "./relaxation.server.js";
+import { searchTermsFor } from "../utils/storefrontUrl.js";
+
+/**
+ * Server-side result-count check. Counts the products a filter set would show
+ * through the Storefront API and applies the best-ranked relaxation
+ * (relaxation.server.js) before responding when nothing matches, so zero-result
+ * handling doesn't depend on the theme's product card markup (the widget's
+ * countProductsInHtml).
+ */
+
+const PREFLIGHT_TIMEOUT_MS = 2500;
+const METAFIELD_PARAM = /^filter\.([pv])\.m\.([\w-]+)\.([\w-]+)$/;
+
+/**
+ * Convert filters to Storefront API ProductFilter inputs.
+ * @param {Array} filters
+ * @returns {object[]}
+ */
+export function toProductFilters(filters) {
+  const productFilters = [];
+
+  for (const filter of filters) {
+    if (filter.productType) productFilters.push({ productType: filter.productType });
+    if (filter.productVendor) productFilters.push({ productVendor: filter.productVendor });
+    if (filter.tag) productFilters.push({ tag: filter.tag });
+    if (typeof filter.available === "boolean") productFilters.push({ available: filter.available });
+
+    if (filter.price) {
+      const price = {};
+      if (filter.price.min !== undefined && filter.price.min !== null) price.min = Number(filter.price.min);
+      if (filter.price.max !== undefined && filter.price.max !== null) price.max = Number(filter.price.max);
+      if (Object.keys(price).length > 0) productFilters.push({ price });
+    }
+
+    if (filter.variantOption?.name && filter.variantOption?.value) {
+      productFilters.push({ variantOption: { name: filter.variantOption.name, value: filter.variantOption.value } });
+    }
+
+    const match = METAFIELD_PARAM.exec(filter.metafield?.param || "");
+    if (match && filter.metafield.value) {
+      const [, level, namespace, key] = match;
+      const input = { namespace, key, value: filter.metafield.value };
+      productFilters.push(level === "p" ? { productMetafield: input } : { variantMetafield: input });
+    }
+  }
+
+  return productFilters;
+}
+
+/**
+ * Reject after `ms` so a slow Storefront API can't hold up the response.
+ * @param {Promise} promise
+ * @param {number} ms
+ * @returns {Promise}
+ */
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Count the products a filter set shows where the widget would apply it: the
+ * collection on collection pages, otherwise the search results page.
+ * Collections have no total count, so only whether any product matches is
+ * checked there: the count is 0, or 1 and capped when more follow.
+ * @param {object} storefront - Storefront API client
+ * @param {{ collectionHandle?: string, filters: Array, searchQuery?: string|null, query: string }} params
+ * @returns {Promise<{ count: number, capped: boolean }|null>} null when the collection doesn't exist
+ */
+async function countResults(storefront, { collectionHandle, filters, searchQuery, query }) {
+  const productFilters = toProductFilters(filters);
+
+  if (collectionHandle) {
+    const response = await storefront.graphql(
+      `query PreflightCollection($handle: String!, $filters: [ProductFilter!]) {
+        collection(handle: $handle) {
+          products(first: 1, filters: $filters) {
+            nodes { id }
+            pageInfo { hasNextPage }
+          }
+        }
+      }`,
+      { variables: { handle: collectionHandle, filters: productFilters } },
+    );
+    const { data } = await response.json();
+    const products = data?.collection?.products;
+    if (!products) return null;
+    return { count: products.nodes.length, capped: products.pageInfo.hasNextPage };
+  }
+
+  const response = await storefront.graphql(
+    `query PreflightSearch($query: String!, $filters: [ProductFilter!]) {
+      search(query: $query, first: 1, types: [PRODUCT], productFilters: $filters) {
+        totalCount
+      }
+    }`,
+    { variables: { query: searchTermsFor(filters, searchQuery, query), filters: productFilters } },
+  );
+  const { data } = await response.json();
+  if (typeof data?.search?.totalCount !== "number") return null;
+  return { count: data.search.totalCount, capped: false };
+}
+
+/**
+ * A counter for relaxation.server.js that checks filter sets where the widget
+ * would apply them, with the preflight timeout.
+ * @param {string} shopDomain
+ * @param {{ collectionHandle?: string, searchQuery?: string|null, query: string }} params
+ * @returns {Promise<(filters: Array) => Promise<{ count: number, capped: boolean }|null>>}
+ */
+export async function resultCounter(shopDomain, params) {
+  const { storefront } = await unauthenticated.storefront(shopDomain);
+  return (filters) => withTimeout(countResults(storefront, { ...params, filters }), PREFLIGHT_TIMEOUT_MS);
+}
+
+/**
+ * Check how many products a result shows and, when none, apply the best
+ * alternative that has results. Alternatives are counted one at a time and
+ * counting stops at the first with results; the widget asks /relax for more
+ * when the applied result still shows nothing. Failures (no storefront access, timeouts) return null
+ * so the widget falls back to its own zero-result handling.
+ * @param {string} shopDomain
+ * @param {{ collectionHandle?: string, filters: Array, searchQuery?: string|null, query: string }} params
+ * @param {object|null} taxonomy - From loadTaxonomy, used to rank alternatives
+ * @returns {Promise<{ filters: Array, productCount: number, productCountCapped: boolean, relaxation: string|null, alternatives: Array }|null>}
+ */
+export async function preflightResult(shopDomain, params, taxonomy) {
+  if (!params.filters || params.filters.length === 0) return null;
+
+  try {
+    const count = await resultCounter(shopDomain, params);
+
+    const original = await count(params.filters);
+    if (!original) return null;
+    if (original.count > 0) {
+      return {
+        filters: params.filters,
+        productCount: original.count,
+        productCountCapped: original.capped,
+        relaxation: null,
+        alternatives: [],
+      };
+    }
+
+    const [best] = await rankAlternatives(params.filters, taxonomy, { count, wanted: 1 });
+    if (best && !best.countIsEstimate) {
+      return {
+        filters: best.filters,
+        productCount: best.expectedCount,
+        productCountCapped: best.countCapped,
+        relaxation: best.label,
+        alternatives: [],
+      };
+    }
+
+    return { filters: params.filters, productCount: 0, productCountCapped: false, relaxation: null, alternatives: [] };
+  } catch (err) {
+    console.warn(`[AI Filter] Result preflight failed for ${shopDomain}:`, err.message);
+    return null;
+  }
+}
@@ -1,7 +1,22 @@
 import prisma from "../db.server";
+import { unauthenticated } from "../shopify.server";
+import { adminQuery, countProducts, productIdOf, syncCatalogSnapshot } from "./catalog-snapshot.server";
 
 const MAX_AGE_MS = 6 * 60 * 60 * 1000; // 6 hours
 const MAX_ENTRIES_PER_TYPE = 1000;
+const WRITE_BATCH_SIZE = 500;
+
+// Collections that get their own value sets, picked by recent query volume
+// and then by size
+const MAX_COLLECTION_TAXONOMIES = 25;
+const MAX_COLLECTION_PRODUCTS = 5000;
+const COLLECTION_USAGE_DAYS = 30;
+
+// Product webhooks arrive one per product during bulk edits and imports, so
+// stale collection value sets are rebuilt once things go quiet, or at the
+// latest after the maximum wait
+const COLLECTION_REFRESH_DEBOUNCE_MS = 60_000;
+const COLLECTION_REFRESH_MAX_WAIT_MS = 10 * 60_000;
 
 /**
  * Check if the shop's taxonomy data is stale or missing.
@@ -14,30 +29,116 @@ export function isTaxonomyStale(shopRecord, maxAgeMs = MAX_AGE_MS) {
   return Date.now() - new Date(shopRecord.taxonomySyncedAt).getTime() > maxAgeMs;
 }
 
+// Filter keys stored as TaxonomyValue.kind
+const LIST_KINDS = { productTypes: "productType", vendors: "productVendor", tags: "tag" };
+
 /**
- * Parse stored JSON taxonomy strings into a structured object.
+ * Load the shop's taxonomy from TaxonomyValue, most common values first.
+ * Every stored value is returned: fuzzy correction, the fallback parser and
+ * relaxation need all of them, and the prompt is trimmed separately by
+ * selectPromptTaxonomy. With a collectionHandle that has
+ * its own value set (see syncCollectionTaxonomies) only the collection's values
+ * and price range are loaded; other handles, and sets a product webhook marked
+ * stale, get the store-wide taxonomy.
  * @param {object} shopRecord - The Shop record from DB
- * @returns {{ productTypes: string[], vendors: string[], tags: string[], priceRange: {min?:number, max?:number, currency?:string}, variantOptions: {name:string, values:string[]}[] }}
+ * @param {{ collectionHandle?: string }} [options]
+ * @returns {Promise<{ scope: "collection"|"store", productTypes: string[], vendors: string[], tags: string[], priceRange: {min?:number, max?:number, currency?:string}, variantOptions: {name:string, values:string[], counts:Record<string, number>}[], metafieldFilters: {param:string, label:string, values:{label:string, value:string}[]}[], valueCounts: {productTypes: Record<string, number>, vendors: Record<string, number>, tags: Record<string, number>} }>}
  */
-export function parseTaxonomy(shopRecord) {
-  try {
-    return {
-      productTypes: JSON.parse(shopRecord.productTypes || "[]"),
-      vendors: JSON.parse(shopRecord.vendors || "[]"),
-      tags: JSON.parse(shopRecord.tags || "[]"),
-      priceRange: JSON.parse(shopRecord.priceRange || "{}"),
-      variantOptions: JSON.parse(shopRecord.variantOptions || "[]"),
+export async function loadTaxonomy(shopRecord, { collectionHandle } = {}) {
+  const orderBy = [{ productCount: "desc" }, { value: "asc" }];
+  const select = { optionName: true, value: true, productCount: true };
+
+  const collectionRow = collectionHandle
+    ? await prisma.collectionTaxonomy.findUnique({
+      where: { shopId_handle: { shopId: shopRecord.id, handle: collectionHandle } },
+    })
+    : null;
+  const collection = collectionRow && !collectionRow.staleAt ? collectionRow : null;
+  const source = collection
+    ? { model: prisma.collectionTaxonomyValue, where: { collectionTaxonomyId: collection.id } }
+    : { model: prisma.taxonomyValue, where: { shopId: shopRecord.id } };
+
+  const [lists, optionRows] = await Promise.all([
+    Promise.all(
+      Object.values(LIST_KINDS).map((kind) =>
+        source.model.findMany({
+          where: { ...source.where, kind },
+          orderBy,
+          select,
+        }),
+      ),
+    ),
+    source.model.findMany({
+      where: { ...source.where, kind: "variantOption" },
+      orderBy,
+      select,
+    }),
+  ]);
+
+  const taxonomy = { scope: collection ? "collection" : "store", valueCounts: {} };
+  Object.keys(LIST_KINDS).forEach((key, i) => {
+    taxonomy[key] = lists[i].map((row) => row.value);
+    taxonomy.valueCounts[key] = Object.fromEntries(lists[i].map((row) => [row.value, row.productCount]));
+  });
+
+  // Option groups in order of their most common value
+  const groups = new Map();
+  for (const row of optionRows) {
+    let group = groups.get(row.optionName);
+    if (!group) {
+      group = { name: row.optionName, values: [], counts: {} };
+      groups.set(row.optionName, group);
+    }
+    group.values.push(row.value);
+    group.counts[row.value] = row.productCount;
+  }
+  taxonomy.variantOptions = [...groups.values()];
+
+  const prices = collection?.priceMin !== null && collection?.priceMin !== undefined ? collection : shopRecord;
+  taxonomy.priceRange = {};
+  if (prices.priceMin !== null && prices.priceMin !== undefined) {
+    taxonomy.priceRange = {
+      min: prices.priceMin,
+      max: prices.priceMax ?? prices.priceMin,
+      currency: shopRecord.priceCurrency || "USD",
     };
+  }
+
+  try {
+    taxonomy.metafieldFilters = JSON.parse(shopRecord.metafieldFilters || "[]");
   } catch (err) {
-    console.error("[Taxonomy] Failed to parse taxonomy JSON:", err);
-    return {
-      productTypes: [],
-      vendors: [],
-      tags: [],
-      priceRange: {},
-      variantOptions: [],
-    };
+    console.error("[Taxonomy] Failed to parse metafield filters JSON:", err);
+    taxonomy.metafieldFilters = [];
   }
+
+  return taxonomy;
+}
+
+/**
+ * Store the values the Admin API listed for one kind. Counts are left to the
+ * catalog scan; values no longer listed are removed unless a product still
+ * carries them.
+ * @param {string} shopId
+ * @param {string} kind - TaxonomyValue.kind
+ * @param {string[]} values
+ * @param {Date} seenAt
+ */
+async function storeListValues(shopId, kind, values, seenAt) {
+  for (let i = 0; i < values.length; i += WRITE_BATCH_SIZE) {
+    await prisma.$transaction(
+      values.slice(i, i + WRITE_BATCH_SIZE).map((value) =>
+        prisma.taxonomyValue.upsert({
+          where: { shopId_kind_optionName_value: { shopId, kind, optionName: "", value } },
+          create: { shopId, kind, value, firstSeenAt: seenAt, lastSeenAt: seenAt },
+          update: { lastSeenAt: seenAt },
+        }),
+      ),
+    );
+  }
+
+  await prisma.taxonomyValue.deleteMany({
+    where: { shopId, kind, lastSeenAt: { lt: seenAt }, productCount: 0 },
+  });
 }
 
 /**
@@ -61,12 +162,292 @@ async function fetchAllPages(admin, queryFn) {
   return all.slice(0, MAX_ENTRIES_PER_TYPE);
 }
 
+// Storefront filter ids for product and variant metafields, e.g. filter.p.m.custom.material
+const METAFIELD_FILTER_PATTERN = /^filter\.[pv]\.m\.[\w-]+\.[\w-]+$/;
+
+/**
+ * Discover the metafield filters configured in the Search & Discovery app.
+ * These only exist on the storefront, so they are read from the Storefront API's
+ * productFilters rather than the Admin API. Each value keeps its storefront URL
+ * value (a metaobject GID for reference metafields) alongside its label.
+ * @param {string} shopDomain
+ * @returns {Promise<{param: string, label: string, values: {label: string, value: string}[]}[]>}
+ */
+async function fetchMetafieldFilters(shopDomain) {
+  const { storefront } = await unauthenticated.storefront(shopDomain);
+  const response = await storefront.graphql(`{
+    search(query: "", first: 1, types: PRODUCT) {
+      productFilters {
+        id
+        label
+        values { label input }
+      }
+    }
+  }`);
+  const data = await response.json();
+
+  const metafieldFilters = [];
+  for (const filter of data.data?.search?.productFilters || []) {
+    if (!METAFIELD_FILTER_PATTERN.test(filter.id)) continue;
+
+    const values = [];
+    for (const v of filter.values) {
+      let input;
+      try {
+        input = JSON.parse(v.input);
+      } catch {
+        continue;
+      }
+      const metafield = input.productMetafield || input.variantMetafield;
+      if (metafield?.value === undefined || values.length >= MAX_ENTRIES_PER_TYPE) continue;
+      values.push({ label: v.label, value: String(metafield.value) });
+    }
+
+    if (values.length > 0) {
+      metafieldFilters.push({ param: filter.id, label: filter.label, values });
+    }
+  }
+
+  return metafieldFilters;
+}
+
+/**
+ * Choose the collections worth their own value set: the ones customers
+ * queried most in the last COLLECTION_USAGE_DAYS days, then the largest.
+ * @param {object} admin - Shopify admin API client
+ * @param {string} shopId
+ * @returns {Promise<{ id: string, handle: string }[]>}
+ */
+async function pickCollections(admin, shopId) {
+  const collections = await fetchAllPages(admin, async (cursor) => {
+    const data = await adminQuery(
+      admin,
+      `query Collections($after: String) {
+        collections(first: 250, after: $after) {
+          nodes { id handle productsCount { count } }
+          pageInfo { hasNextPage endCursor }
+        }
+      }`,
+      { after: cursor },
+    );
+    return {
+      items: data.collections.nodes,
+      hasNextPage: data.collections.pageInfo.hasNextPage,
+      endCursor: data.collections.pageInfo.endCursor,
+    };
+  });
+
+  const usage = await prisma.aiFilterQuery.groupBy({
+    by: ["collectionHandle"],
+    where: {
+      shopId,
+      collectionHandle: { not: "" },
+      createdAt: { gte: new Date(Date.now() - COLLECTION_USAGE_DAYS * 24 * 60 * 60 * 1000) },
+    },
+    _count: { _all: true },
+  });
+  const queries = new Map(usage.map((u) => [u.collectionHandle, u._count._all]));
+
+  return collections
+    .filter((c) => c.productsCount?.count > 0)
+    .sort(
+      (a, b) =>
+        (queries.get(b.handle) || 0) - (queries.get(a.handle) || 0) ||
+        b.productsCount.count - a.productsCount.count,
+    )
+    .slice(0, MAX_COLLECTION_TAXONOMIES);
+}
+
+/**
+ * Ids of a collection's products, up to MAX_COLLECTION_PRODUCTS.
+ * @param {object} admin - Shopify admin API client
+ * @param {string} collectionId - Collection GID
+ * @returns {Promise<string[]>}
+ */
+async function fetchCollectionProductIds(admin, collectionId) {
+  const ids = [];
+  let cursor = null;
+
+  do {
+    const data = await adminQuery(
+      admin,
+      `query CollectionProducts($id: ID!, $after: String) {
+        collection(id: $id) {
+          products(first: 250, after: $after) {
+            nodes { id }
+            pageInfo { hasNextPage endCursor }
+          }
+        }
+      }`,
+      { id: collectionId, after: cursor },
+    );
+    const connection = data.collection?.products;
+    if (!connection) break;
+    ids.push(...connection.nodes.map((n) => n.id));
+    cursor = connection.pageInfo.hasNextPage ? connection.pageInfo.endCursor : null;
+  } while (cursor && ids.length < MAX_COLLECTION_PRODUCTS);
+
+  return ids;
+}
+
+/**
+ * Build or rebuild one collection's value set from the catalog snapshot,
+ * along with the product ids it was built from. A collection with no scanned
+ * products loses its set and falls back to the store-wide values. Clears
+ * staleAt unless a webhook marked the set stale again while it was being built.
+ * @param {object} admin - Shopify admin API client
+ * @param {string} shopId
+ * @param {{ id: string, handle: string }} collection
+ * @param {Date} syncedAt
+ * @returns {Promise<boolean>} Whether a value set was stored
+ */
+async function buildCollectionTaxonomy(admin, shopId, collection, syncedAt) {
+  const productIds = await fetchCollectionProductIds(admin, collection.id);
+  const { counts, productCount, priceMin, priceMax } = await countProducts(shopId, productIds);
+  if (productCount === 0) {
+    await prisma.collectionTaxonomy.deleteMany({ where: { shopId, handle: collection.handle } });
+    return false;
+  }
+
+  const data = { collectionId: collection.id, productCount, priceMin, priceMax, syncedAt };
+  const row = await prisma.collectionTaxonomy.upsert({
+    where: { shopId_handle: { shopId, handle: collection.handle } },
+    create: { shopId, handle: collection.handle, ...data },
+    update: data,
+  });
+  await prisma.$transaction([
+    prisma.collectionTaxonomyProduct.deleteMany({ where: { collectionTaxonomyId: row.id } }),
+    prisma.collectionTaxonomyProduct.createMany({
+      data: [...new Set(productIds.map(productIdOf))].map((productId) => ({ collectionTaxonomyId: row.id, productId })),
+    }),
+    prisma.collectionTaxonomyValue.deleteMany({ where: { collectionTaxonomyId: row.id } }),
+    prisma.collectionTaxonomyValue.createMany({
+      data: [...counts.values()].map((v) => ({
+        collectionTaxonomyId: row.id,
+        kind: v.kind,
+        optionName: v.optionName,
+        value: v.value,
+        productCount: v.count,
+      })),
+    }),
+    prisma.collectionTaxonomy.updateMany({
+      where: { id: row.id, staleAt: { lte: syncedAt } },
+      data: { staleAt: null },
+    }),
+  ]);
+  return true;
+}
+
+/**
+ * Build per-collection value sets from the catalog snapshot, so a query on a
+ * collection page only sees vendors, options and prices that exist there.
+ * Runs after the catalog scan. Failures are logged; the store-wide taxonomy
+ * still serves every collection.
+ * @param {object} admin - Shopify admin API client
+ * @param {string} shopDomain
+ */
+export async function syncCollectionTaxonomies(admin, shopDomain) {
+  const startTime = Date.now();
+
+  try {
+    const shopRecord = await prisma.shop.findUnique({ where: { domain: shopDomain } });
+    if (!shopRecord?.variantOptionsSyncedAt) return;
+
+    const syncedAt = new Date();
+    let built = 0;
+
+    for (const collection of await pickCollections(admin, shopRecord.id)) {
+      if (await buildCollectionTaxonomy(admin, shopRecord.id, collection, syncedAt)) built++;
+    }
+
+    // Collections that dropped out of the selection (or were deleted) fall back to store-wide values
+    await prisma.collectionTaxonomy.deleteMany({
+      where: { shopId: shopRecord.id, syncedAt: { lt: syncedAt } },
+    });
+
+    console.log(`[Taxonomy] Collection value sets built for ${shopDomain} in ${Date.now() - startTime}ms — ${built} collections`);
+  } catch (err) {
+    console.warn(`[Taxonomy] Collection value sets failed for ${shopDomain}:`, err.message);
+  }
+}
+
+// Shops with a refresh running → whether another pass was requested meanwhile
+const collectionRefreshes = new Map();
+
+// Shops with a refresh scheduled → { timer, firstRequestedAt }
+const scheduledRefreshes = new Map();
+
+/**
+ * Schedule refreshStaleCollectionTaxonomies for a shop, debounced: each call
+ * pushes the refresh back, up to COLLECTION_REFRESH_MAX_WAIT_MS after the
+ * first call, so a burst of product webhooks costs one refresh.
+ * @param {string} shopDomain
+ */
+export function scheduleCollectionTaxonomyRefresh(shopDomain) {
+  const scheduled = scheduledRefreshes.get(shopDomain);
+  const firstRequestedAt = scheduled?.firstRequestedAt ?? Date.now();
+  if (scheduled) clearTimeout(scheduled.timer);
+
+  const delay = Math.min(
+    COLLECTION_REFRESH_DEBOUNCE_MS,
+    Math.max(0, firstRequestedAt + COLLECTION_REFRESH_MAX_WAIT_MS - Date.now()),
+  );
+  const timer = setTimeout(() => {
+    scheduledRefreshes.delete(shopDomain);
+    refreshStaleCollectionTaxonomies(shopDomain);
+  }, delay);
+  scheduledRefreshes.set(shopDomain, { timer, firstRequestedAt });
+}
+
+/**
+ * Rebuild the collection value sets product webhooks marked stale. Bursts of
+ * webhooks share one refresh per shop: calls during a pass schedule one more
+ * pass instead of running in parallel.
+ * @param {string} shopDomain
+ */
+export async function refreshStaleCollectionTaxonomies(shopDomain) {
+  if (collectionRefreshes.has(shopDomain)) {
+    collectionRefreshes.set(shopDomain, true);
+    return;
+  }
+  collectionRefreshes.set(shopDomain, false);
+
+  try {
+    do {
+      collectionRefreshes.set(shopDomain, false);
+      const shopRecord = await prisma.shop.findUnique({ where: { domain: shopDomain } });
+      const stale = shopRecord
+        ? await prisma.collectionTaxonomy.findMany({
+          where: { shopId: shopRecord.id, staleAt: { not: null } },
+          select: { collectionId: true, handle: true },
+        })
+        : [];
+      if (stale.length === 0) break;
+
+      const { admin } = await unauthenticated.admin(shopDomain);
+      const syncedAt = new Date();
+      for (const row of stale) {
+        await buildCollectionTaxonomy(admin, shopRecord.id, { id: row.collectionId, handle: row.handle }, syncedAt);
+      }
+      console.log(`[Taxonomy] Rebuilt ${stale.length} stale collection value sets for ${shopDomain}`);
+    } while (collectionRefreshes.get(shopDomain));
+  } catch (err) {
+    console.warn(`[Taxonomy] Collection value set refresh failed for ${shopDomain}:`, err.message);
+  } finally {
+    collectionRefreshes.delete(shopDomain);
+  }
+}
+
 /**
  * Sync taxonomy data from Shopify Admin GraphQL API and persist to DB.
+ * Variant options, value counts and the exact price range come from the
+ * full catalog scan (syncCatalogSnapshot), which can take minutes on large stores.
  * @param {object} admin - Shopify admin API client (from authenticate.admin or unauthenticated.admin)
  * @param {string} shopDomain - e.g. "myshop.myshopify.com"
+ * @param {{ waitForOptions?: boolean }} [options] - Pass waitForOptions: false to return as soon as the
+ *   lists are stored and let the catalog scan finish in the background
  */
-export async function syncTaxonomy(admin, shopDomain) {
+export async function syncTaxonomy(admin, shopDomain, { waitForOptions = true } = {}) {
   console.log(`[Taxonomy] Starting sync for ${shopDomain}`);
   const startTime = Date.now();
 
@@ -145,52 +526,32 @@ export async function syncTaxonomy(admin, shopDomain) {
     const maxPrice = parseFloat(
       priceData.data.expensive?.edges?.[0]?.node?.priceRangeV2?.maxVariantPrice?.amount || "0"
     );
-    const priceRange = { min: minPrice, max: maxPrice, currency };
-
-    // 5. Fetch variant options (sample 100 products, deduplicate)
-    const optionsResponse = await admin.graphql(`{
-      products(first: 100) {
-        edges {
-          node {
-            options { name values }
-          }
-        }
-      }
-    }`);
-    const optionsData = await optionsResponse.json();
-    const optionMap = new Map(); // name -> Set of values
 
-    for (const edge of optionsData.data.products.edges) {
-      for (const option of edge.node.options) {
-        if (!optionMap.has(option.name)) {
-          optionMap.set(option.name, new Set());
-        }
-        const valSet = optionMap.get(option.name);
-        for (const v of option.values) {
-          if (valSet.size < MAX_ENTRIES_PER_TYPE) {
-            valSet.add(v);
-          }
-        }
-      }
+    // 5. Discover Search & Discovery metafield filters. Optional: a store without
+    // them, or without storefront access yet, still gets the rest of the taxonomy.
+    let metafieldFilters = [];
+    try {
+      metafieldFilters = await fetchMetafieldFilters(shopDomain);
+    } catch (err) {
+      console.warn(`[Taxonomy] Metafield filter discovery failed for ${shopDomain}:`, err.message);
     }
 
-    const variantOptions = [];
-    for (const [name, valSet] of optionMap) {
-      // Skip "Title" — Shopify's default single-variant placeholder
-      if (name === "Title" && valSet.size === 1 && valSet.has("Default Title")) continue;
-      variantOptions.push({ name, values: [...valSet] });
+    // Persist to DB
+    const shopRecord = await prisma.shop.findUnique({ where: { domain: shopDomain } });
+    const seenAt = new Date();
+    const lists = { productTypes, vendors, tags };
+    for (const [key, kind] of Object.entries(LIST_KINDS)) {
+      await storeListValues(shopRecord.id, kind, [...new Set(lists[key])], seenAt);
     }
 
-    // Persist to DB
     await prisma.shop.update({
-      where: { domain: shopDomain },
+      where: { id: shopRecord.id },
       data: {
-        productTypes: JSON.stringify(productTypes),
-        vendors: JSON.stringify(vendors),
-        tags: JSON.stringify(tags),
-        priceRange: JSON.stringify(priceRange),
-        variantOptions: JSON.stringify(variantOptions),
-        taxonomySyncedAt: new Date(),
+        priceMin: minPrice,
+        priceMax: maxPrice,
+        priceCurrency: currency,
+        metafieldFilters: JSON.stringify(metafieldFilters),
+        taxonomySyncedAt: seenAt,
       },
     });
 
@@ -198,10 +559,20 @@ export async function syncTaxonomy(admin, shopDomain) {
     console.log(
       `[Taxonomy] Sync complete for ${shopDomain} in ${elapsed}ms — ` +
       `${productTypes.length} types, ${vendors.length} vendors, ${tags.length} tags, ` +
-      `price ${priceRange.min}–${priceRange.max} ${currency}, ${variantOptions.length} option groups`
+      `price ${minPrice}–${maxPrice} ${currency}, ${metafieldFilters.length} metafield filters`
     );
   } catch (err) {
     console.error(`[Taxonomy] Sync failed for ${shopDomain}:`, err);
     throw err;
   }
+
+  // 6. Catalog snapshot for variant options and value counts (errors are logged by syncCatalogSnapshot),
+  // then the per-collection value sets derived from it
+  const optionSync = syncCatalogSnapshot(admin, shopDomain)
+    .then((ran) => (ran ? syncCollectionTaxonomies(admin, shopDomain) : null));
+  if (waitForOptions) {
+    await optionSync;
+  } else {
+    optionSync.catch(() => {});
+  }
 }
@@ -0,0 +1,115 @@
+import prisma from "../db.server";
+import { DEFAULT_PLAN, PLANS } from "../utils/plans.js";
+
+/**
+ * Plans, monthly query quotas and usage metering. Only queries that reach the
+ * model (cache misses) count toward the quota; cache hits and pinned rules
+ * are metered separately because they cost nothing to serve. Plans without a
+ * quota (monthlyQueries null) are metered but never warned or cut off.
+ */
+
+export const QUOTA_WARNING_RATIO = 0.8;
+
+// What the proxy does once the quota is used up
+export const OVER_QUOTA_BEHAVIORS = {
+  search: "Fall back to plain store search",
+  block: "Turn AI search off until next month",
+};
+
+// Query sources (AiFilterQuery.source) and the counter they bump
+const USAGE_FIELDS = {
+  llm: "aiQueries",
+  fallback: "aiQueries",
+  cache: "cachedQueries",
+  rule: "cachedQueries",
+};
+
+// Cache outcome of a query and the counter it bumps
+const CACHE_FIELDS = {
+  lru: "cacheHits",
+  persistent: "persistentCacheHits",
+  miss: "cacheMisses",
+};
+
+/**
+ * The billing period a date falls in: its UTC calendar month.
+ * @param {Date} [date]
+ * @returns {string} "YYYY-MM"
+ */
+export function currentPeriod(date = new Date()) {
+  return date.toISOString().slice(0, 7);
+}
+
+/**
+ * The shop's plan, falling back to the default for unknown ids.
+ * @param {{ plan?: string|null }} shopRecord
+ * @returns {typeof PLANS[keyof typeof PLANS]}
+ */
+export function planFor(shopRecord) {
+  return PLANS[shopRecord?.plan] || PLANS[DEFAULT_PLAN];
+}
+
+/**
+ * This month's usage against the shop's quota.
+ * @param {{ id: string, plan?: string|null }} shopRecord
+ * @returns {Promise<{ plan: object, period: string, aiQueries: number, cachedQueries: number, quota: number|null, percent: number|null, warning: boolean, exhausted: boolean, cache: { hits: number, persistentHits: number, misses: number, hitRate: number|null } }>}
+ */
+export async function getUsage(shopRecord) {
+  const plan = planFor(shopRecord);
+  const period = currentPeriod();
+  const counter = await prisma.usageCounter.findUnique({
+    where: { shopId_period: { shopId: shopRecord.id, period } },
+  });
+
+  const aiQueries = counter?.aiQueries ?? 0;
+  const quota = plan.monthlyQueries;
+  const hits = counter?.cacheHits ?? 0;
+  const persistentHits = counter?.persistentCacheHits ?? 0;
+  const misses = counter?.cacheMisses ?? 0;
+  const lookups = hits + persistentHits + misses;
+  return {
+    plan,
+    period,
+    aiQueries,
+    cachedQueries: counter?.cachedQueries ?? 0,
+    quota,
+    percent: quota === null ? null : Math.min(100, Math.round((aiQueries / quota) * 100)),
+    warning: quota !== null && aiQueries >= quota * QUOTA_WARNING_RATIO,
+    exhausted: quota !== null && aiQueries >= quota,
+    cache: {
+      hits,
+      persistentHits,
+      misses,
+      hitRate: lookups > 0 ? Math.round(((hits + persistentHits) / lookups) * 100) : null,
+    },
+  };
+}
+
+/**
+ * Count one answered query in this month's counter, along with where the
+ * query cache found it. Logs once per period when the shop passes the
+ * warning threshold.
+ * @param {{ id: string, domain: string, plan?: string|null }} shopRecord
+ * @param {string} source - AiFilterQuery.source
+ * @param {"lru"|"persistent"|"miss"|null} [cacheOutcome] - null when the cache wasn't consulted
+ * @returns {Promise<void>}
+ */
+export async function recordUsage(shopRecord, source, cacheOutcome = null) {
+  const fields = [USAGE_FIELDS[source], CACHE_FIELDS[cacheOutcome]].filter(Boolean);
+  if (fields.length === 0) return;
+
+  const period = currentPeriod();
+  const counter = await prisma.usageCounter.upsert({
+    where: { shopId_period: { shopId: shopRecord.id, period } },
+    create: { shopId: shopRecord.id, period, ...Object.fromEntries(fields.map((f) => [f, 1])) },
+    update: Object.fromEntries(fields.map((f) => [f, { increment: 1 }])),
+  });
+
+  const { monthlyQueries } = planFor(shopRecord);
+  if (monthlyQueries !== null && !counter.warnedAt && counter.aiQueries >= monthlyQueries * QUOTA_WARNING_RATIO) {
+    await prisma.usageCounter.update({ where: { id: counter.id }, data: { warnedAt: new Date() } });
+    console.warn(
+      `[Usage] ${shopRecord.domain} has used ${counter.aiQueries} of ${monthlyQueries} AI queries for ${period}`,
+    );
+  }
+}
@@ -0,0 +1,60 @@
+/**
+ * An in-memory stand-in for the Prisma client's KeyValue model, covering the
+ * queries the Prisma key-value store (kv-store.server.js) makes. Tests mock
+ * db.server with it.
+ */
+
+/**
+ * Whether a row satisfies a `where` on `key` (equals, startsWith or in) and
+ * `expiresAt` (lte).
+ * @param {{ key: string, expiresAt: Date }} row
+ * @param {object} [where]
+ * @returns {boolean}
+ */
+function matches(row, where = {}) {
+  const { key, expiresAt } = where;
+  if (typeof key === "string") {
+    if (row.key !== key) return false;
+  } else if (key) {
+    if (key.startsWith !== undefined && !row.key.startsWith(key.startsWith)) return false;
+    if (key.in && !key.in.includes(row.key)) return false;
+  }
+  if (expiresAt?.lte && row.expiresAt > expiresAt.lte) return false;
+  return true;
+}
+
+/**
+ * A fresh stand-in with no rows.
+ * @returns {{ rows: Map<string, object>, keyValue: object, $transaction: (fn: Function) => Promise<any> }}
+ */
+export function createPrismaKeyValueStub() {
+  const rows = new Map();
+
+  const keyValue = {
+    async findUnique({ where }) {
+      return rows.get(where.key) ?? null;
+    },
+    async findMany({ where, orderBy, skip = 0 }) {
+      const found = [...rows.values()].filter((row) => matches(row, where));
+      if (orderBy?.updatedAt === "desc") found.sort((a, b) => b.updatedAt - a.updatedAt);
+      return found.slice(skip).map((row) => ({ ...row }));
+    },
+    async upsert({ where, create, update }) {
+      const row = rows.has(where.key) ? { ...rows.get(where.key), ...update } : { ...create };
+      rows.set(where.key, { ...row, updatedAt: new Date() });
+      return row;
+    },
+    async deleteMany({ where }) {
+      let count = 0;
+      for (const row of [...rows.values()]) {
+        if (matches(row, where)) {
+          rows.delete(row.key);
+          count++;
+        }
+      }
+      return { count };
+    },
+  };
+
+  return { rows, keyValue, $transaction: (fn) => fn({ keyValue }) };
+}
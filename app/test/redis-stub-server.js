@@ -0,0 +1,157 @@
+import net from "node:net";
+
+/**
+ * A local stand-in for a Redis server, for tests of the Redis store. Speaks
+ * RESP2 and keeps string keys in memory with PX expiry. Implements only the
+ * commands the store sends; EVAL runs the token-bucket script's logic in
+ * JavaScript, on this process's clock.
+ */
+
+/**
+ * Parse one command (an array of bulk strings) starting at `start`.
+ * @param {Buffer} buf
+ * @param {number} start
+ * @returns {{ args: string[], end: number }|null} null when the command is incomplete
+ */
+function parseCommand(buf, start) {
+  let at = start;
+  const line = () => {
+    const end = buf.indexOf("\r\n", at);
+    if (end === -1) return null;
+    const text = buf.toString("utf8", at, end);
+    at = end + 2;
+    return text;
+  };
+
+  const header = line();
+  if (header === null) return null;
+  const count = Number(header.slice(1));
+  const args = [];
+  for (let i = 0; i < count; i++) {
+    const lengthLine = line();
+    if (lengthLine === null) return null;
+    const length = Number(lengthLine.slice(1));
+    if (buf.length < at + length + 2) return null;
+    args.push(buf.toString("utf8", at, at + length));
+    at += length + 2;
+  }
+  return { args, end: at };
+}
+
+/**
+ * Serialize a reply: strings as bulk strings, numbers as integers, arrays
+ * recursively, null as a null bulk string and Errors as error replies.
+ * @param {any} value
+ * @returns {string}
+ */
+function encodeReply(value) {
+  if (value === null) return "$-1\r\n";
+  if (value instanceof Error) return `-${value.message}\r\n`;
+  if (typeof value === "number") return `:${value}\r\n`;
+  if (Array.isArray(value)) return `*${value.length}\r\n${value.map(encodeReply).join("")}`;
+  return `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+}
+
+/**
+ * Regular expression for a Redis glob pattern (`*`, `?`, backslash escapes).
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+function globToRegExp(pattern) {
+  let source = "";
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    if (ch === "\\") source += pattern[++i].replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    else if (ch === "*") source += ".*";
+    else if (ch === "?") source += ".";
+    else source += ch.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Start a stub server on a free local port.
+ * @returns {Promise<{ url: string, keys: () => string[], close: () => Promise<void> }>}
+ */
+export async function startRedisStub() {
+  const data = new Map(); // key → { value, expiresAt }
+  const sockets = new Set();
+
+  const live = (key) => {
+    const entry = data.get(key);
+    if (entry && entry.expiresAt <= Date.now()) {
+      data.delete(key);
+      return undefined;
+    }
+    return entry;
+  };
+
+  const commands = {
+    PING: () => "PONG",
+    CLIENT: () => "OK",
+    SELECT: () => "OK",
+    GET: ([key]) => live(key)?.value ?? null,
+    MGET: (keys) => keys.map((key) => live(key)?.value ?? null),
+    SET: ([key, value, ...options]) => {
+      const px = options.findIndex((o) => o.toUpperCase() === "PX");
+      data.set(key, { value, expiresAt: px === -1 ? Infinity : Date.now() + Number(options[px + 1]) });
+      return "OK";
+    },
+    DEL: (keys) => keys.filter((key) => live(key) && data.delete(key)).length,
+    SCAN: ([cursor, ...options]) => {
+      const option = (name) => options[options.findIndex((o) => o.toUpperCase() === name) + 1];
+      const match = globToRegExp(option("MATCH") ?? "*");
+      const count = Number(option("COUNT") ?? 10);
+      const keys = [...data.keys()].filter((key) => live(key));
+      const start = Number(cursor);
+      const next = start + count < keys.length ? String(start + count) : "0";
+      return [next, keys.slice(start, start + count).filter((key) => match.test(key))];
+    },
+    // The store's TOKEN_BUCKET_SCRIPT: KEYS[1], ARGV capacity, refill per ms and "0" to peek
+    EVAL: ([, , key, capacityArg, refillArg, take]) => {
+      const capacity = Number(capacityArg);
+      const refill = Number(refillArg);
+      const now = Date.now();
+      const state = live(key)?.value;
+      let tokens = state ? Math.min(capacity, state.tokens + Math.max(0, now - state.at) * refill) : capacity;
+      let allowed = 0;
+      if (tokens >= 1) {
+        tokens -= 1;
+        allowed = 1;
+      }
+      if (take !== "0") {
+        data.set(key, { value: { tokens, at: now }, expiresAt: now + Math.ceil((capacity - tokens) / refill) + 1 });
+      }
+      return [allowed, String(tokens)];
+    },
+  };
+
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    socket.on("close", () => sockets.delete(socket));
+    let buffer = Buffer.alloc(0);
+    socket.on("data", (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      let parsed;
+      while ((parsed = parseCommand(buffer, 0))) {
+        buffer = buffer.subarray(parsed.end);
+        const [name, ...args] = parsed.args;
+        const handler = commands[name.toUpperCase()];
+        socket.write(encodeReply(handler ? handler(args) : new Error(`ERR unknown command '${name}'`)));
+      }
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const { port } = server.address();
+
+  return {
+    url: `redis://127.0.0.1:${port}`,
+    keys: () => [...data.keys()].filter((key) => live(key)),
+    close: () =>
+      new Promise((resolve) => {
+        for (const socket of sockets) socket.destroy();
+        server.close(() => resolve());
+      }),
+  };
+}
@@ -0,0 +1,21 @@
+/**
+ * Short human-readable label for one filter object, for admin tables.
+ * @param {object} filter
+ * @returns {string}
+ */
+export function describeFilter(filter) {
+  if (filter.productType) return `Type: ${filter.productType}`;
+  if (filter.productVendor) return `Vendor: ${filter.productVendor}`;
+  if (filter.tag) return `Tag: ${filter.tag}`;
+  if (filter.available !== undefined) return filter.available ? "In stock" : "Out of stock";
+  if (filter.price) {
+    const { min, max } = filter.price;
+    return `Price: ${min ?? ""}–${max ?? ""}`;
+  }
+  if (filter.variantOption) return `${filter.variantOption.name}: ${filter.variantOption.value}`;
+  if (filter.metafield) {
+    const { param, name, value, label } = filter.metafield;
+    return `${name || param}: ${label || value}`;
+  }
+  return JSON.stringify(filter);
+}
@@ -2,6 +2,13 @@ import { Searcher } from "fast-fuzzy";
 
 const DEFAULT_THRESHOLD = 0.8;
 
+// Prompt candidate selection: categories up to SMALL_CATEGORY_SIZE values are
+// sent whole, larger ones are cut to the PROMPT_VALUES_PER_CATEGORY best
+export const PROMPT_VALUES_PER_CATEGORY = 30;
+const SMALL_CATEGORY_SIZE = 50;
+const MIN_TERM_LENGTH = 3;
+const RANKING_STOPWORDS = new Set(["the", "and", "for", "with", "under", "over", "below", "above", "than", "some", "want", "need"]);
+
 /**
  * Check if one string is a substring of another (case-insensitive).
  * @param {string} a
@@ -51,9 +58,40 @@ export function fuzzyMatchValue(value, knownValues, threshold = DEFAULT_THRESHOL
   return value;
 }
 
+/**
+ * Build a lookup of merchant synonyms keyed by lowercased customer term.
+ * @param {{ term: string, canonical: string }[]} synonyms
+ * @returns {Map<string, string>}
+ */
+export function buildSynonymMap(synonyms) {
+  const map = new Map();
+  for (const s of synonyms || []) {
+    if (s.term && s.canonical) map.set(s.term.toLowerCase().trim(), s.canonical);
+  }
+  return map;
+}
+
+/**
+ * Replace a value with its merchant synonym, but only when the synonym's target
+ * exists in this field's catalog — "navy" → "Blue" must not turn a product type into "Blue".
+ * @param {string} value
+ * @param {string[]} knownValues
+ * @param {Map<string, string>} synonymMap
+ * @returns {string}
+ */
+export function applySynonym(value, knownValues, synonymMap) {
+  if (!value || !synonymMap || synonymMap.size === 0) return value;
+
+  const canonical = synonymMap.get(value.toLowerCase().trim());
+  if (!canonical) return value;
+
+  const known = knownValues?.find((v) => v.toLowerCase() === canonical.toLowerCase());
+  return known || value;
+}
+
 /**
  * Build pre-constructed Searcher instances from taxonomy data for repeated use.
- * @param {{ productTypes: string[], vendors: string[], tags: string[], variantOptions: {name: string, values: string[]}[] }} taxonomy
+ * @param {{ productTypes: string[], vendors: string[], tags: string[], variantOptions: {name: string, values: string[]}[], metafieldFilters?: {param: string, label: string, values: {label: string, value: string}[]}[] }} taxonomy
  * @returns {object}
  */
 export function buildSearchers(taxonomy) {
@@ -78,25 +116,167 @@ export function buildSearchers(taxonomy) {
       };
       return acc;
     }, {}) || {},
+    metafieldValues: taxonomy.metafieldFilters?.reduce((acc, filter) => {
+      acc[filter.param] = new Searcher(filter.values.map((v) => v.label), { threshold: DEFAULT_THRESHOLD });
+      return acc;
+    }, {}) || {},
+  };
+}
+
+/**
+ * Words and adjacent word pairs of a query, the terms catalog values are ranked against.
+ * @param {string} query
+ * @returns {string[]}
+ */
+function queryTerms(query) {
+  const words = (query || "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}'\-\s]/gu, " ")
+    .split(/\s+/)
+    .filter((w) => w.length >= MIN_TERM_LENGTH && !RANKING_STOPWORDS.has(w));
+
+  const terms = new Set(words);
+  for (let i = 0; i + 1 < words.length; i++) terms.add(`${words[i]} ${words[i + 1]}`);
+  return [...terms];
+}
+
+/**
+ * Pick up to `limit` values of one category: pinned values first, then the
+ * best fuzzy matches for the query terms, topped up in catalog order (most
+ * common first). The result keeps catalog order.
+ * @param {string[]} values
+ * @param {Searcher|null} searcher - Built over `values`
+ * @param {string[]} terms
+ * @param {Set<string>} pinned - Lowercased values that must be kept
+ * @param {number} limit
+ * @returns {string[]}
+ */
+function pickValues(values, searcher, terms, pinned, limit) {
+  if (values.length <= SMALL_CATEGORY_SIZE || !searcher) return values;
+
+  const scores = new Map();
+  for (const value of values) {
+    if (pinned.has(value.toLowerCase())) scores.set(value, 2);
+  }
+  for (const term of terms) {
+    for (const match of searcher.search(term, { returnMatchData: true })) {
+      if ((scores.get(match.item) || 0) < match.score) scores.set(match.item, match.score);
+    }
+  }
+
+  const picked = new Set(
+    [...scores.keys()].sort((a, b) => scores.get(b) - scores.get(a)).slice(0, limit),
+  );
+  for (const value of values) {
+    if (picked.size >= limit) break;
+    picked.add(value);
+  }
+  return values.filter((v) => picked.has(v));
+}
+
+/**
+ * Trim a taxonomy to the values worth sending to the model for this query.
+ * Small categories pass through whole; larger ones keep the values most
+ * relevant to the query (ranked with the buildSearchers searchers), topped up
+ * with the most common ones. Only the prompt gets the trimmed copy; callers
+ * keep the full taxonomy for fuzzy correction, the fallback parser and relaxation.
+ * @param {string} query
+ * @param {object|null} taxonomy - From loadTaxonomy, lists ordered most common first
+ * @param {{ limit?: number, pinned?: string[] }} [options] - `pinned` values (applied filters, synonym targets) are always kept
+ * @returns {{ taxonomy: object|null, selection: Record<string, { included: number, total: number }> }}
+ */
+export function selectPromptTaxonomy(query, taxonomy, { limit = PROMPT_VALUES_PER_CATEGORY, pinned = [] } = {}) {
+  if (!taxonomy) return { taxonomy, selection: {} };
+
+  const searchers = buildSearchers(taxonomy);
+  const terms = queryTerms(query);
+  const pinnedSet = new Set(pinned.filter(Boolean).map((v) => String(v).toLowerCase()));
+  const selection = {};
+  const count = (key, included, total) => {
+    const entry = (selection[key] ||= { included: 0, total: 0 });
+    entry.included += included;
+    entry.total += total;
   };
+
+  const trimmed = { ...taxonomy };
+  for (const key of ["productTypes", "vendors", "tags"]) {
+    const values = taxonomy[key] || [];
+    trimmed[key] = pickValues(values, searchers[key], terms, pinnedSet, limit);
+    count(key, trimmed[key].length, values.length);
+  }
+
+  trimmed.variantOptions = (taxonomy.variantOptions || []).map((option) => {
+    const { searcher } = searchers.variantOptionValues[option.name.toLowerCase()] || {};
+    const values = pickValues(option.values, searcher, terms, pinnedSet, limit);
+    count("variantOptions", values.length, option.values.length);
+    return { ...option, values };
+  });
+
+  trimmed.metafieldFilters = (taxonomy.metafieldFilters || []).map((filter) => {
+    const labels = pickValues(
+      filter.values.map((v) => v.label),
+      searchers.metafieldValues[filter.param],
+      terms,
+      pinnedSet,
+      limit,
+    );
+    const keep = new Set(labels);
+    count("metafieldFilters", labels.length, filter.values.length);
+    return { ...filter, values: filter.values.filter((v) => keep.has(v.label)) };
+  });
+
+  return { taxonomy: trimmed, selection };
+}
+
+/**
+ * Resolve a metafield filter against the discovered custom filters. The param
+ * must name a known filter (or its label); the value is corrected against the
+ * value labels and swapped for the storefront value, which for metaobject
+ * references is a GID rather than the label.
+ * @param {{ param: string, value: string }} metafield
+ * @param {{param: string, label: string, values: {label: string, value: string}[]}[]} metafieldFilters
+ * @param {function} correct - (value, knownValues) => corrected value
+ * @returns {{ param: string, name: string, value: string, label: string }|null} null when the filter can't be validated
+ */
+function resolveMetafield(metafield, metafieldFilters, correct) {
+  const param = metafield.param.toLowerCase();
+  const group = metafieldFilters.find((f) => f.param.toLowerCase() === param)
+    || metafieldFilters.find((f) => f.label.toLowerCase() === param);
+  if (!group) return null;
+
+  const labels = group.values.map((v) => v.label);
+  const label = correct(metafield.value, labels);
+  const match = group.values.find((v) => v.label === label)
+    || group.values.find((v) => v.value === metafield.value);
+  if (!match) return null;
+
+  return { param: group.param, name: group.label, value: match.value, label: match.label };
 }
 
 /**
  * Post-process all filter string values against known taxonomy values.
- * Corrects near-misses like "glasses" → "Sunglasses".
+ * Merchant synonyms are applied first ("kicks" → "Sneakers"), then near-misses
+ * are corrected like "glasses" → "Sunglasses". Metafield filters that don't
+ * match a discovered custom filter are emptied to {} so the mapping stays
+ * one-to-one; callers drop empty filters afterwards.
  * @param {Array} filters - Array of filter objects from LLM
- * @param {{ productTypes: string[], vendors: string[], tags: string[], variantOptions: {name: string, values: string[]}[] }} taxonomy
+ * @param {{ productTypes: string[], vendors: string[], tags: string[], variantOptions: {name: string, values: string[]}[], metafieldFilters?: {param: string, label: string, values: {label: string, value: string}[]}[] }} taxonomy
+ * @param {{ term: string, canonical: string }[]} [synonyms] - Merchant synonym dictionary
  * @returns {Array} Corrected filters
  */
-export function fuzzyCorrectFilters(filters, taxonomy) {
+export function fuzzyCorrectFilters(filters, taxonomy, synonyms = []) {
   if (!taxonomy || !filters || filters.length === 0) return filters;
 
+  const synonymMap = buildSynonymMap(synonyms);
+  const correct = (value, knownValues) =>
+    fuzzyMatchValue(applySynonym(value, knownValues, synonymMap), knownValues);
+
   return filters.map((filter) => {
     const corrected = { ...filter };
 
     // Correct productType
     if (corrected.productType && taxonomy.productTypes?.length > 0) {
-      corrected.productType = fuzzyMatchValue(
+      corrected.productType = correct(
         corrected.productType,
         taxonomy.productTypes
       );
@@ -104,7 +284,7 @@ export function fuzzyCorrectFilters(filters, taxonomy) {
 
     // Correct productVendor
     if (corrected.productVendor && taxonomy.vendors?.length > 0) {
-      corrected.productVendor = fuzzyMatchValue(
+      corrected.productVendor = correct(
         corrected.productVendor,
         taxonomy.vendors
       );
@@ -112,7 +292,7 @@ export function fuzzyCorrectFilters(filters, taxonomy) {
 
     // Correct tag
     if (corrected.tag && taxonomy.tags?.length > 0) {
-      corrected.tag = fuzzyMatchValue(corrected.tag, taxonomy.tags);
+      corrected.tag = correct(corrected.tag, taxonomy.tags);
     }
 
     // Correct variantOption name and value
@@ -129,13 +309,20 @@ export function fuzzyCorrectFilters(filters, taxonomy) {
         (o) => o.name.toLowerCase() === matchedName.toLowerCase()
       );
       if (optionGroup && corrected.variantOption.value) {
-        corrected.variantOption.value = fuzzyMatchValue(
+        corrected.variantOption.value = correct(
           corrected.variantOption.value,
           optionGroup.values
         );
       }
     }
 
+    // Validate metafield param and value; unknown ones would be ignored by the storefront
+    if (corrected.metafield) {
+      const resolved = resolveMetafield(corrected.metafield, taxonomy.metafieldFilters || [], correct);
+      if (resolved) corrected.metafield = resolved;
+      else delete corrected.metafield;
+    }
+
     return corrected;
   });
 }
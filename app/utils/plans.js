@@ -0,0 +1,14 @@
+/**
+ * Plans and their limits. Kept free of server imports so scripts/set-plan.js
+ * can check plan ids without loading the app.
+ */
+
+export const PLANS = {
+  free: { id: "free", label: "Free", monthlyQueries: 1_000, requestsPerMinute: 10 },
+  growth: { id: "growth", label: "Growth", monthlyQueries: 10_000, requestsPerMinute: 30 },
+  scale: { id: "scale", label: "Scale", monthlyQueries: 100_000, requestsPerMinute: 120 },
+  // Shops installed before plans existed keep working as they did: no monthly quota
+  legacy: { id: "legacy", label: "Legacy", monthlyQueries: null, requestsPerMinute: 10 },
+};
+
+export const DEFAULT_PLAN = "free";
@@ -0,0 +1,252 @@
+import { createPrismaStore, getKeyValueStore, storeBackend } from "../services/kv-store.server.js";
+import { canonicalizeQuery, embedQuery, similarity, structuralSignature, wordsAlign } from "./queryCanonical.js";
+
+/**
+ * LRU cache with TTL for AI filter query results, on the configured
+ * key-value store (in memory unless STORE_BACKEND says otherwise).
+ * Key: "shop::collectionHandle::canonicalQuery" (see queryCanonical.js), so
+ * paraphrases of a query share its entry.
+ * Max 500 entries, 30-minute TTL.
+ *
+ * Behind it sits a persistent second tier in the app database (KeyValue,
+ * "results" namespace) that survives restarts and deploys. Its TTL is per
+ * shop (Shop.cacheTtlHours, 0 turns it off) and checked again on every
+ * lookup, so lowering it takes effect right away; a hit there refills the
+ * first tier. With STORE_BACKEND=prisma the first tier is already in KeyValue,
+ * so its entries are kept for the shop's TTL instead and there is no
+ * separate "results" copy.
+ *
+ * With CACHE_SIMILARITY_THRESHOLD set (e.g. 0.7), a miss falls back to the
+ * most similar canonical form cached recently by this process, as long as
+ * both agree on numbers, comparisons and negations and every word has a
+ * close spelling in the other.
+ */
+
+const MAX_ENTRIES = 500;
+const TTL_MS = 30 * 60 * 1000; // 30 minutes
+const MAX_RECENT_PER_SCOPE = 200;
+const SIMILARITY_THRESHOLD = Number(process.env.CACHE_SIMILARITY_THRESHOLD) || 0; // 0 = off
+const MAX_PERSISTENT_ENTRIES = 20_000;
+const HOUR_MS = 60 * 60 * 1000;
+
+export const MAX_CACHE_TTL_HOURS = 720; // 30 days
+
+// Both tiers in the KeyValue table would write every answer twice
+const sharedTiers = storeBackend() === "prisma";
+
+const store = getKeyValueStore("cache", { maxEntries: sharedTiers ? MAX_PERSISTENT_ENTRIES : MAX_ENTRIES });
+const persistent = sharedTiers ? null : createPrismaStore("results", { maxEntries: MAX_PERSISTENT_ENTRIES });
+
+// "shop::collection" → Map<canonical, { vector, signature }>, oldest first
+const recent = new Map();
+
+/**
+ * Normalize a customer query for grouping and cache keys.
+ * @param {string} query
+ * @returns {string}
+ */
+export function normalizeQuery(query) {
+  return query.toLowerCase().trim().replace(/\s+/g, " ");
+}
+
+/**
+ * Build a canonical cache key.
+ * @param {string} shop
+ * @param {string} collectionHandle
+ * @param {string} query
+ * @returns {string}
+ */
+export function cacheKey(shop, collectionHandle, query) {
+  return `${shop}::${collectionHandle || "all"}::${canonicalizeQuery(query)}`;
+}
+
+/**
+ * Split a cache key into its shop/collection scope and canonical query.
+ * @param {string} key
+ * @returns {{ scope: string, canonical: string }}
+ */
+function splitKey(key) {
+  const at = key.lastIndexOf("::");
+  return { scope: key.slice(0, at), canonical: key.slice(at + 2) };
+}
+
+/**
+ * Add a cached canonical form to the similarity index.
+ * @param {string} key
+ */
+function remember(key) {
+  if (!SIMILARITY_THRESHOLD) return;
+  const { scope, canonical } = splitKey(key);
+  let entries = recent.get(scope);
+  if (!entries) {
+    entries = new Map();
+    recent.set(scope, entries);
+  }
+  entries.delete(canonical);
+  if (entries.size >= MAX_RECENT_PER_SCOPE) {
+    entries.delete(entries.keys().next().value);
+  }
+  entries.set(canonical, { vector: embedQuery(canonical), signature: structuralSignature(canonical) });
+}
+
+/**
+ * The recently cached canonical form most similar to `canonical` in the same
+ * scope, if it clears the threshold.
+ * @param {string} scope
+ * @param {string} canonical
+ * @returns {{ canonical: string, similarity: number }|null}
+ */
+function nearestCached(scope, canonical) {
+  const entries = recent.get(scope);
+  if (!entries) return null;
+
+  const vector = embedQuery(canonical);
+  const signature = structuralSignature(canonical);
+  let best = null;
+  for (const [candidate, entry] of entries) {
+    if (candidate === canonical || entry.signature !== signature) continue;
+    const score = similarity(vector, entry.vector);
+    if (score >= SIMILARITY_THRESHOLD && (!best || score > best.similarity) && wordsAlign(canonical, candidate)) {
+      best = { canonical: candidate, similarity: score };
+    }
+  }
+  return best;
+}
+
+/**
+ * Look up a cache key: the first tier, then the most similar recent entry
+ * when similarity lookup is enabled, then the persistent tier if the shop's
+ * TTL allows. `match` says which canonical form answered and `tier` where it
+ * was found; with shared tiers, a first-tier entry older than 30 minutes
+ * counts as persistent.
+ * @param {string} key - From cacheKey
+ * @param {{ ttlHours?: number }} [options] - Shop.cacheTtlHours, as it is now
+ * @returns {Promise<{ value: { filters: Array, explanation: string } | undefined, match: { canonical: string, similarity: number } | null, tier: "lru"|"persistent"|null }>}
+ */
+export async function cacheLookup(key, { ttlHours = 0 } = {}) {
+  const { scope, canonical } = splitKey(key);
+  const maxAgeMs = sharedTiers ? Math.max(TTL_MS, ttlHours * HOUR_MS) : TTL_MS;
+  const hit = await readEntry(store, key, maxAgeMs, "Read");
+  if (hit) {
+    remember(key);
+    return { value: hit.value, match: { canonical, similarity: 1 }, tier: hit.ageMs > TTL_MS ? "persistent" : "lru" };
+  }
+
+  const nearest = SIMILARITY_THRESHOLD ? nearestCached(scope, canonical) : null;
+  if (nearest) {
+    const similar = await cacheGet(`${scope}::${nearest.canonical}`);
+    if (similar) return { value: similar, match: nearest, tier: "lru" };
+    // Expired or flushed since it was indexed
+    recent.get(scope)?.delete(nearest.canonical);
+  }
+
+  const stored = persistent && ttlHours > 0
+    ? await readEntry(persistent, key, ttlHours * HOUR_MS, "Persistent read")
+    : undefined;
+  if (stored) {
+    await cacheSet(key, stored.value);
+    return { value: stored.value, match: { canonical, similarity: 1 }, tier: "persistent" };
+  }
+  return { value: undefined, match: null, tier: null };
+}
+
+/**
+ * Read an entry from a tier. Entries older than `maxAgeMs` are a miss even if
+ * they were written under a longer TTL, as is a failed read.
+ * @param {object} tierStore
+ * @param {string} key
+ * @param {number} maxAgeMs
+ * @param {string} label - For the warning on a failed read
+ * @returns {Promise<{ value: { filters: Array, explanation: string }, ageMs: number } | undefined>}
+ */
+async function readEntry(tierStore, key, maxAgeMs, label) {
+  try {
+    const stored = await tierStore.get(key);
+    if (!stored) return undefined;
+    // Entries written before cachedAt was recorded rely on the store's expiry
+    const ageMs = stored.cachedAt ? Date.now() - stored.cachedAt : 0;
+    if (!(ageMs <= maxAgeMs)) return undefined;
+    const value = { ...stored };
+    delete value.cachedAt;
+    return { value, ageMs };
+  } catch (err) {
+    console.warn(`[Cache] ${label} failed:`, err.message);
+    return undefined;
+  }
+}
+
+/**
+ * Get a cached result from the last 30 minutes. Returns undefined on miss,
+ * expired entry or store error.
+ * @param {string} key
+ * @returns {Promise<{ filters: Array, explanation: string } | undefined>}
+ */
+export async function cacheGet(key) {
+  return (await readEntry(store, key, TTL_MS, "Read"))?.value;
+}
+
+/**
+ * Store a result in the cache, and in the persistent tier when the shop's
+ * TTL is given (with shared tiers, the cache entry is kept that long instead).
+ * A failed write only costs a future miss.
+ * @param {string} key
+ * @param {{ filters: Array, explanation: string }} value
+ * @param {{ ttlHours?: number }} [options] - Shop.cacheTtlHours
+ */
+export async function cacheSet(key, value, { ttlHours = 0 } = {}) {
+  const entry = { ...value, cachedAt: Date.now() };
+
+  try {
+    await store.set(key, entry, sharedTiers ? Math.max(TTL_MS, ttlHours * HOUR_MS) : TTL_MS);
+    remember(key);
+  } catch (err) {
+    console.warn("[Cache] Write failed:", err.message);
+  }
+
+  if (persistent && ttlHours > 0) {
+    try {
+      await persistent.set(key, entry, ttlHours * HOUR_MS);
+    } catch (err) {
+      console.warn("[Cache] Persistent write failed:", err.message);
+    }
+  }
+}
+
+/**
+ * Flush all cache entries for a given shop domain, in both tiers.
+ * @param {string} shopDomain
+ */
+export async function cacheFlushShop(shopDomain) {
+  for (const scope of recent.keys()) {
+    if (scope.startsWith(`${shopDomain}::`)) recent.delete(scope);
+  }
+  await flush(shopDomain);
+}
+
+/**
+ * Flush a shop's cache entries whose cached result matches a predicate,
+ * e.g. only those whose filters mention a value that changed.
+ * @param {string} shopDomain
+ * @param {(value: { filters: Array, explanation: string }) => boolean} predicate
+ */
+export async function cacheFlushWhere(shopDomain, predicate) {
+  await flush(shopDomain, predicate);
+}
+
+async function flush(shopDomain, predicate) {
+  await Promise.all([
+    flushTier("cache", store, shopDomain, predicate),
+    persistent && flushTier("persistent cache", persistent, shopDomain, predicate),
+  ]);
+}
+
+async function flushTier(label, tierStore, shopDomain, predicate) {
+  try {
+    const flushed = await tierStore.deleteWhere(`${shopDomain}::`, predicate);
+    if (flushed > 0) {
+      console.log(`[Cache] Flushed ${flushed} ${label} entries for ${shopDomain}`);
+    }
+  } catch (err) {
+    console.warn(`[Cache] Flushing the ${label} failed for ${shopDomain}:`, err.message);
+  }
+}
@@ -0,0 +1,93 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import prisma from "../db.server";
+import { cacheKey, cacheLookup, cacheSet } from "./queryCache.server.js";
+
+vi.mock("../db.server", async () => {
+  const { createPrismaKeyValueStub } = await import("../test/prisma-key-value-stub.js");
+  return { default: createPrismaKeyValueStub() };
+});
+
+const HOUR_MS = 60 * 60 * 1000;
+const answer = { filters: [{ tag: "red" }], explanation: "Red shoes" };
+
+describe("cacheLookup", () => {
+  let key;
+
+  beforeEach(async () => {
+    vi.useFakeTimers({ toFake: ["Date"] });
+    key = cacheKey(`shop-${Math.random()}.myshopify.com`, "all", "red shoes");
+    await cacheSet(key, answer, { ttlHours: 24 });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  // Past the first tier's 30 minutes, so only the persistent tier can answer
+  const skipFirstTier = () => vi.setSystemTime(Date.now() + HOUR_MS);
+
+  it("answers from the persistent tier within the shop's TTL", async () => {
+    skipFirstTier();
+    expect(await cacheLookup(key, { ttlHours: 24 })).toMatchObject({ value: answer, tier: "persistent" });
+  });
+
+  it("skips the persistent tier when the shop's TTL is now 0", async () => {
+    skipFirstTier();
+    expect(await cacheLookup(key, { ttlHours: 0 })).toMatchObject({ value: undefined, tier: null });
+  });
+
+  it("treats entries older than a lowered TTL as misses", async () => {
+    vi.setSystemTime(Date.now() + 2 * HOUR_MS);
+    expect(await cacheLookup(key, { ttlHours: 1 })).toMatchObject({ value: undefined, tier: null });
+    expect(await cacheLookup(key, { ttlHours: 24 })).toMatchObject({ value: answer, tier: "persistent" });
+  });
+
+  it("keeps the write time out of the returned value", async () => {
+    skipFirstTier();
+    const { value } = await cacheLookup(key, { ttlHours: 24 });
+    expect(value).not.toHaveProperty("cachedAt");
+    expect(prisma.rows.get(`results:${key}`).value).toContain("cachedAt");
+  });
+});
+
+describe("cacheLookup with STORE_BACKEND=prisma", () => {
+  let cache;
+  let db;
+  let key;
+
+  beforeEach(async () => {
+    vi.useFakeTimers({ toFake: ["Date"] });
+    vi.stubEnv("STORE_BACKEND", "prisma");
+    vi.resetModules();
+    cache = await import("./queryCache.server.js");
+    db = (await import("../db.server")).default;
+    key = cache.cacheKey(`shop-${Math.random()}.myshopify.com`, "all", "red shoes");
+    await cache.cacheSet(key, answer, { ttlHours: 24 });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.unstubAllEnvs();
+  });
+
+  it("writes each answer to the KeyValue table once", () => {
+    expect(db.rows.has(`cache:${key}`)).toBe(true);
+    expect(db.rows.has(`results:${key}`)).toBe(false);
+  });
+
+  it("keeps answering past 30 minutes within the shop's TTL", async () => {
+    vi.setSystemTime(Date.now() + HOUR_MS);
+    expect(await cache.cacheLookup(key, { ttlHours: 24 })).toMatchObject({ value: answer, tier: "persistent" });
+  });
+
+  it("treats entries older than a lowered TTL as misses", async () => {
+    vi.setSystemTime(Date.now() + 2 * HOUR_MS);
+    expect(await cache.cacheLookup(key, { ttlHours: 1 })).toMatchObject({ value: undefined, tier: null });
+    expect(await cache.cacheLookup(key, { ttlHours: 24 })).toMatchObject({ value: answer, tier: "persistent" });
+  });
+
+  it("expires after 30 minutes when the shop's TTL is 0", async () => {
+    vi.setSystemTime(Date.now() + HOUR_MS);
+    expect(await cache.cacheLookup(key, { ttlHours: 0 })).toMatchObject({ value: undefined, tier: null });
+  });
+});
@@ -0,0 +1,178 @@
+/**
+ * Canonical forms of customer queries, so paraphrases share a cache entry:
+ * "red shoes under 50", "Red shoes < $50" and "shoes in red below 50 dollars"
+ * all become "red shoe under:50". Also a small local embedding (hashed
+ * character trigrams) for the optional similarity lookup in queryCache.server.js.
+ */
+
+const STOPWORDS = new Set([
+  "a", "an", "the", "in", "on", "of", "for", "with", "to", "and", "or", "some", "any",
+  "me", "my", "i", "im", "want", "need", "looking", "look", "find", "show", "give",
+  "please", "something", "thing", "things", "that", "which", "are", "is", "be",
+  "color", "colour", "colored", "coloured", "price", "priced", "cost", "costing",
+]);
+
+// Negations bind to the next word so sorting can't separate them
+const NEGATIONS = new Set(["not", "no", "non", "without"]);
+
+const CURRENCY = /[$€£¥]|\b(?:dollars?|usd|bucks|euros?|eur|pounds?|gbp|kr|sek|dkk|nok)\b/g;
+const NUMBER = "(\\d+(?:\\.\\d+)?)";
+const RANGE = new RegExp(`\\b(?:between\\s+)?${NUMBER}\\s*(?:-|–|to|and)\\s*${NUMBER}\\b`, "g");
+const UNDER = /<=?|\b(?:less than|cheaper than|lower than|no more than|up to|at most|below|under|max(?:imum)?)\b/g;
+const OVER = />=?|\b(?:more than|greater than|higher than|at least|above|over|min(?:imum)?)\b/g;
+
+const EMBEDDING_SIZE = 256;
+const WORD_MATCH_MIN = 0.6; // "sneakrs"/"sneakers" pass, "men"/"women" and "shirt"/"skirt" don't
+
+/**
+ * Fold plurals so "dresses" and "dress" match. Deliberately light: only
+ * plural endings, which are the common paraphrase in product searches.
+ * @param {string} word
+ * @returns {string}
+ */
+function stem(word) {
+  if (word.length <= 3 || /\d/.test(word)) return word;
+  if (word.endsWith("ies") && word.length > 4) return `${word.slice(0, -3)}y`;
+  if (/(?:ss|us|is)$/.test(word)) return word;
+  if (/(?:sh|ch|x|z|ss)es$/.test(word)) return word.slice(0, -2);
+  if (word.endsWith("s")) return word.slice(0, -1);
+  return word;
+}
+
+/**
+ * "50.00" → "50", "1,000" → "1000".
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeNumbers(text) {
+  return text
+    .replace(/(\d),(?=\d{3}\b)/g, "$1")
+    .replace(/(\d+)\.0+\b/g, "$1");
+}
+
+/**
+ * Canonical form of a query: lowercased and without accents, currency and
+ * stopwords, numbers normalized, comparisons and negations bound to their
+ * operand ("under:50", "not:leather"), plurals folded and tokens sorted.
+ * @param {string} query
+ * @returns {string}
+ */
+export function canonicalizeQuery(query) {
+  const text = normalizeNumbers(
+    query
+      .toLowerCase()
+      .normalize("NFKD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .replace(/'/g, ""),
+  )
+    .replace(CURRENCY, " ")
+    .replace(RANGE, " over $1 under $2 ")
+    .replace(UNDER, " under ")
+    .replace(OVER, " over ");
+
+  const words = text.match(/[a-z0-9]+(?:\.\d+)?/g) || [];
+  const tokens = [];
+  for (let i = 0; i < words.length; i++) {
+    const word = words[i];
+    const next = words[i + 1];
+
+    if ((word === "under" || word === "over") && next && /^\d/.test(next)) {
+      tokens.push(`${word}:${next}`);
+      i++;
+    } else if (NEGATIONS.has(word) && next) {
+      tokens.push(`not:${stem(next)}`);
+      i++;
+    } else if (!STOPWORDS.has(word)) {
+      tokens.push(stem(word));
+    }
+  }
+
+  if (tokens.length === 0) {
+    return query.toLowerCase().trim().replace(/\s+/g, " ");
+  }
+  return [...new Set(tokens)].sort().join(" ");
+}
+
+/**
+ * Numbers, comparisons and negations: tokens a near-miss would change the
+ * meaning of.
+ * @param {string} token
+ * @returns {boolean}
+ */
+const isStructural = (token) => token.includes(":") || /^\d/.test(token);
+
+/**
+ * The structural tokens of a canonical query. Similar queries must agree on
+ * these exactly.
+ * @param {string} canonical
+ * @returns {string}
+ */
+export function structuralSignature(canonical) {
+  return canonical.split(" ").filter(isStructural).join(" ");
+}
+
+/**
+ * FNV-1a hash of a string.
+ * @param {string} str
+ * @returns {number}
+ */
+function hash(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Unit-length vector of hashed character trigrams of the query's words.
+ * Catches spelling variants ("sneakers"/"sneakrs"), not synonyms.
+ * @param {string} canonical
+ * @returns {Float32Array}
+ */
+export function embedQuery(canonical) {
+  const vector = new Float32Array(EMBEDDING_SIZE);
+  for (const word of canonical.split(" ")) {
+    if (isStructural(word)) continue;
+    const padded = `#${word}#`;
+    for (let i = 0; i + 3 <= padded.length; i++) {
+      vector[hash(padded.slice(i, i + 3)) % EMBEDDING_SIZE] += 1;
+    }
+  }
+
+  let norm = 0;
+  for (const v of vector) norm += v * v;
+  norm = Math.sqrt(norm);
+  if (norm > 0) {
+    for (let i = 0; i < vector.length; i++) vector[i] /= norm;
+  }
+  return vector;
+}
+
+/**
+ * Cosine similarity of two unit vectors.
+ * @param {Float32Array} a
+ * @param {Float32Array} b
+ * @returns {number}
+ */
+export function similarity(a, b) {
+  let dot = 0;
+  for (let i = 0; i < a.length; i++) dot += a[i] * b[i];
+  return dot;
+}
+
+/**
+ * Whether every word of each query has a close spelling in the other, so a
+ * high overall score can't hide one swapped word ("men" for "women").
+ * @param {string} a - Canonical query
+ * @param {string} b - Canonical query
+ * @returns {boolean}
+ */
+export function wordsAlign(a, b) {
+  const words = (canonical) => canonical.split(" ").filter((t) => !isStructural(t)).map(embedQuery);
+  const aWords = words(a);
+  const bWords = words(b);
+  const covered = (from, to) => from.every((v) => to.some((w) => similarity(v, w) >= WORD_MATCH_MIN));
+  return covered(aWords, bWords) && covered(bWords, aWords);
+}
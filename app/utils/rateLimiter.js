@@ -1,43 +1,70 @@
+import { getKeyValueStore } from "../services/kv-store.server.js";
+
 /**
- * Simple in-memory per-key rate limiter using a sliding window.
- * Suitable for single-instance deployments. For multi-instance,
- * replace with Redis-backed implementation.
+ * Token-bucket rate limiter on the configured key-value store. A key's
+ * bucket holds up to `burst` tokens and refills at `maxRequests` per
+ * `windowMs`, so short bursts are allowed while the sustained rate stays at
+ * the limit — with no window boundary to double up on. With
+ * STORE_BACKEND=prisma or redis the buckets are shared across instances.
  */
 
-const windows = new Map();
-const CLEANUP_INTERVAL = 60_000; // 1 minute
+const store = getKeyValueStore("ratelimit");
 
 /**
- * Check if a request is within the rate limit.
+ * Run a bucket operation ("takeToken" or "peekToken") for one limit. Fails
+ * open when the store is unreachable, so an outage doesn't take the
+ * storefront widget down with it.
+ * @param {"takeToken"|"peekToken"} operation
+ * @param {{ key: string, maxRequests: number, windowMs: number, burst: number }} limit
+ */
+async function applyLimit(operation, { key, maxRequests, windowMs, burst }) {
+  const policy = { limit: burst, maxRequests, windowMs };
+  try {
+    const { allowed, tokens, retryAfterMs, resetMs } = await store[operation](key, {
+      capacity: burst,
+      refillPerMs: maxRequests / windowMs,
+    });
+    return { ...policy, allowed, remaining: Math.floor(tokens), retryAfterMs, resetMs };
+  } catch (err) {
+    console.warn("[RateLimit] Store unavailable, allowing request:", err.message);
+    return { ...policy, allowed: true, remaining: burst, retryAfterMs: 0, resetMs: 0 };
+  }
+}
+
+/**
+ * Take one request from a key's bucket.
  * @param {string} key - Identifier (e.g. shop domain)
- * @param {number} maxRequests - Max requests per window
+ * @param {number} maxRequests - Sustained requests per window
  * @param {number} windowMs - Window duration in milliseconds
- * @returns {{ allowed: boolean, remaining: number }}
+ * @param {{ burst?: number }} [options] - Bucket size, defaults to maxRequests
+ * @returns {Promise<{ allowed: boolean, limit: number, remaining: number, retryAfterMs: number, resetMs: number, maxRequests: number, windowMs: number }>}
  */
-export function checkRateLimit(key, maxRequests, windowMs) {
-  const now = Date.now();
-  let entry = windows.get(key);
-
-  if (!entry || now - entry.windowStart >= windowMs) {
-    entry = { windowStart: now, count: 1 };
-    windows.set(key, entry);
-    return { allowed: true, remaining: maxRequests - 1 };
-  }
+export async function checkRateLimit(key, maxRequests, windowMs, { burst = maxRequests } = {}) {
+  return applyLimit("takeToken", { key, maxRequests, windowMs, burst });
+}
 
-  entry.count += 1;
-  if (entry.count > maxRequests) {
-    return { allowed: false, remaining: 0 };
-  }
+/**
+ * Check layered limits, e.g. per visitor and per shop. Every bucket is
+ * checked before any is taken from, so a request one limit rejects doesn't
+ * use up the others; the first rejection in order is returned. When all
+ * pass, a token is taken from each and the limit with the fewest requests
+ * left is returned, for the RateLimit-* headers.
+ * @param {{ key: string, maxRequests: number, windowMs: number, burst?: number }[]} limits
+ * @returns {Promise<(Awaited<ReturnType<typeof checkRateLimit>> & { key: string })|null>} null for no limits
+ */
+export async function checkRateLimits(limits) {
+  const buckets = limits.map((limit) => ({ ...limit, burst: limit.burst ?? limit.maxRequests }));
 
-  return { allowed: true, remaining: maxRequests - entry.count };
-}
+  const checked = await Promise.all(buckets.map((bucket) => applyLimit("peekToken", bucket)));
+  const rejected = checked.findIndex((result) => !result.allowed);
+  if (rejected !== -1) return { ...checked[rejected], key: buckets[rejected].key };
 
-// Periodically clean up expired entries to prevent memory leaks
-setInterval(() => {
-  const now = Date.now();
-  for (const [key, entry] of windows) {
-    if (now - entry.windowStart > 120_000) {
-      windows.delete(key);
-    }
+  let tightest = null;
+  for (const bucket of buckets) {
+    const result = { ...(await applyLimit("takeToken", bucket)), key: bucket.key };
+    // Emptied by a concurrent request since the check
+    if (!result.allowed) return result;
+    if (!tightest || result.remaining < tightest.remaining) tightest = result;
   }
-}, CLEANUP_INTERVAL);
+  return tightest;
+}
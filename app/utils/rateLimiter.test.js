@@ -0,0 +1,51 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+
+vi.mock("../db.server", () => ({ default: {} }));
+
+const { checkRateLimits } = await import("./rateLimiter.js");
+
+const WINDOW_MS = 60_000;
+
+describe("checkRateLimits", () => {
+  let shop;
+
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ["Date"] });
+    shop = `shop-${Math.random()}`; // the limiter's memory store lives for the whole file
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  const limits = (visitor) => [
+    { key: `${shop}:${visitor}`, maxRequests: 2, windowMs: WINDOW_MS },
+    { key: shop, maxRequests: 3, windowMs: WINDOW_MS },
+  ];
+
+  it("returns the tightest limit when all pass", async () => {
+    const result = await checkRateLimits(limits("a"));
+    expect(result).toMatchObject({ allowed: true, key: `${shop}:a`, remaining: 1 });
+  });
+
+  it("takes nothing from the shop bucket when a visitor limit rejects", async () => {
+    await checkRateLimits(limits("a"));
+    await checkRateLimits(limits("a"));
+    for (let i = 0; i < 5; i++) {
+      expect(await checkRateLimits(limits("a"))).toMatchObject({ allowed: false, key: `${shop}:a` });
+    }
+
+    // Only the two allowed requests came out of the shop's 3
+    expect(await checkRateLimits(limits("b"))).toMatchObject({ allowed: true });
+    expect(await checkRateLimits(limits("c"))).toMatchObject({ allowed: false, key: shop });
+  });
+
+  it("takes nothing from the visitor buckets when the shop limit rejects", async () => {
+    for (const visitor of ["a", "b", "c"]) await checkRateLimits(limits(visitor));
+    expect(await checkRateLimits(limits("d"))).toMatchObject({ allowed: false, key: shop });
+
+    // Visitor d's bucket is still full
+    const [visitorLimit] = limits("d");
+    expect(await checkRateLimits([visitorLimit])).toMatchObject({ allowed: true, remaining: 1 });
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * Server-side mirror of the widget's URL construction
+ * (appendFilterParams/applyFilters in extensions/ai-filter-block/assets/ai-filter.js).
+ * Keep the two in sync when filter types change.
+ */
+
+/**
+ * Append Shopify storefront filter.* params for each filter object.
+ * @param {URL} url
+ * @param {Array} filters
+ */
+export function appendFilterParams(url, filters) {
+  for (const filter of filters) {
+    if (filter.productType) {
+      url.searchParams.append("filter.p.product_type", filter.productType);
+    }
+
+    if (filter.productVendor) {
+      url.searchParams.append("filter.p.vendor", filter.productVendor);
+    }
+
+    if (filter.tag) {
+      url.searchParams.append("filter.p.tag", filter.tag);
+    }
+
+    if (filter.available === true) {
+      url.searchParams.append("filter.v.availability", "1");
+    } else if (filter.available === false) {
+      url.searchParams.append("filter.v.availability", "0");
+    }
+
+    if (filter.price) {
+      if (filter.price.min !== undefined && filter.price.min !== null) {
+        url.searchParams.append("filter.v.price.gte", String(filter.price.min));
+      }
+      if (filter.price.max !== undefined && filter.price.max !== null) {
+        url.searchParams.append("filter.v.price.lte", String(filter.price.max));
+      }
+    }
+
+    if (filter.variantOption?.name && filter.variantOption?.value) {
+      url.searchParams.append(
+        `filter.v.option.${filter.variantOption.name.toLowerCase()}`,
+        filter.variantOption.value,
+      );
+    }
+
+    // Search & Discovery metafield filters carry their own param, e.g. filter.p.m.custom.material
+    if (filter.metafield?.value && /^filter\.[pv]\.m\./.test(filter.metafield.param || "")) {
+      url.searchParams.append(filter.metafield.param, filter.metafield.value);
+    }
+  }
+}
+
+/**
+ * The search terms the widget uses on non-collection pages: the model's
+ * search query, else the filter values, else the customer's own words.
+ * @param {Array} filters
+ * @param {string|null|undefined} searchQuery
+ * @param {string} query
+ * @returns {string}
+ */
+export function searchTermsFor(filters, searchQuery, query) {
+  const searchTerms = [];
+  for (const filter of filters || []) {
+    if (filter.productType) searchTerms.push(filter.productType);
+    if (filter.productVendor) searchTerms.push(filter.productVendor);
+    if (filter.tag) searchTerms.push(filter.tag);
+    if (filter.variantOption?.value) searchTerms.push(filter.variantOption.value);
+    if (filter.metafield) searchTerms.push(filter.metafield.label || filter.metafield.value);
+  }
+
+  return searchQuery || (searchTerms.length > 0 ? searchTerms.join(" ") : query);
+}
+
+/**
+ * The URL the widget would navigate to for a result.
+ * On a collection page filters are applied to the collection; everywhere else
+ * (or with only search terms) the widget goes to /search.
+ * @param {{ shop: string, collectionHandle?: string, query: string, filters: Array, searchQuery?: string|null }} params
+ * @returns {string}
+ */
+export function buildStorefrontUrl({ shop, collectionHandle, query, filters, searchQuery }) {
+  const origin = `https://${shop}`;
+  const hasFilters = filters && filters.length > 0;
+
+  if (!hasFilters && searchQuery) {
+    const url = new URL("/search", origin);
+    url.searchParams.set("type", "product");
+    url.searchParams.set("q", searchQuery);
+    return url.toString();
+  }
+
+  if (!collectionHandle) {
+    const url = new URL("/search", origin);
+    url.searchParams.set("type", "product");
+    url.searchParams.set("q", searchTermsFor(filters, searchQuery, query));
+    appendFilterParams(url, filters || []);
+    return url.toString();
+  }
+
+  const url = new URL(`/collections/${encodeURIComponent(collectionHandle)}`, origin);
+  appendFilterParams(url, filters || []);
+  return url.toString();
+}
@@ -0,0 +1,58 @@
+import { createHash } from "node:crypto";
+
+/**
+ * Rate-limit identity of the shopper behind an app proxy request. Every
+ * storefront request reaches us through Shopify's app proxy, so the client
+ * address is usually a Shopify egress address shared by all of a store's
+ * shoppers; it is only the last resort.
+ *
+ * TRUSTED_PROXY_HOPS is the number of proxies in front of the app that
+ * append to X-Forwarded-For (default 1). The client address is the entry the
+ * outermost of them appended; anything before it came from the client and
+ * can be anything. 0 ignores the header.
+ */
+
+const VISITOR_ID = /^[\w-]{8,64}$/;
+
+/**
+ * The number of trusted X-Forwarded-For hops.
+ * @returns {number}
+ */
+function trustedProxyHops() {
+  const hops = Number.parseInt(process.env.TRUSTED_PROXY_HOPS ?? "1", 10);
+  return Number.isInteger(hops) && hops >= 0 ? hops : 1;
+}
+
+/**
+ * The client address according to the trusted proxies, or null.
+ * @param {Request} request
+ * @returns {string|null}
+ */
+export function forwardedClientIp(request) {
+  const hops = trustedProxyHops();
+  if (hops === 0) return null;
+  const entries = (request.headers.get("x-forwarded-for") || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+  return entries.length >= hops ? entries[entries.length - hops] : null;
+}
+
+/**
+ * Limiter key for the shopper: the logged-in customer, else the widget's
+ * per-tab `visitorId`, else the client IP. Hashed with the shop so raw
+ * identifiers never reach the limiter store.
+ * @param {Request} request
+ * @param {string} shop
+ * @param {object|null} body - May carry the widget's `visitorId`
+ * @returns {string|null} null when the request carries no identity at all
+ */
+export function visitorKey(request, shop, body) {
+  const customerId = new URL(request.url).searchParams.get("logged_in_customer_id");
+  const token = typeof body?.visitorId === "string" && VISITOR_ID.test(body.visitorId) ? body.visitorId : "";
+  const ip = forwardedClientIp(request);
+
+  const identity = customerId ? `customer:${customerId}` : token ? `session:${token}` : ip ? `ip:${ip}` : "";
+  if (!identity) return null;
+  return createHash("sha256").update(`${shop}:${identity}`).digest("hex").slice(0, 24);
+}
@@ -0,0 +1,61 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { forwardedClientIp, visitorKey } from "./visitorKey.server.js";
+
+const SHOP = "shop-1.myshopify.com";
+const PROXY_URL = `https://app.example.com/api/proxy/query?shop=${SHOP}`;
+
+const proxyRequest = ({ forwardedFor = "203.0.113.7, 23.227.38.1", customerId } = {}) =>
+  new Request(customerId ? `${PROXY_URL}&logged_in_customer_id=${customerId}` : PROXY_URL, {
+    method: "POST",
+    headers: forwardedFor ? { "x-forwarded-for": forwardedFor } : {},
+  });
+
+describe("visitorKey", () => {
+  it("gives shoppers behind the same forwarded chain separate keys by visitorId", () => {
+    const a = visitorKey(proxyRequest(), SHOP, { visitorId: "visitor-aaaaaaaa" });
+    const b = visitorKey(proxyRequest(), SHOP, { visitorId: "visitor-bbbbbbbb" });
+    expect(a).not.toBeNull();
+    expect(a).not.toBe(b);
+  });
+
+  it("prefers the logged-in customer over the visitorId", () => {
+    const request = proxyRequest({ customerId: "42" });
+    expect(visitorKey(request, SHOP, { visitorId: "visitor-aaaaaaaa" })).toBe(
+      visitorKey(proxyRequest({ customerId: "42" }), SHOP, { visitorId: "visitor-bbbbbbbb" }),
+    );
+  });
+
+  it("falls back to the forwarded address without a valid visitorId", () => {
+    const fromIp = visitorKey(proxyRequest(), SHOP, { visitorId: "bad id" });
+    expect(fromIp).toBe(visitorKey(proxyRequest(), SHOP, null));
+    expect(fromIp).not.toBeNull();
+    expect(visitorKey(proxyRequest({ forwardedFor: "" }), SHOP, {})).toBeNull();
+  });
+
+  it("keys the same identity differently per shop", () => {
+    const body = { visitorId: "visitor-aaaaaaaa" };
+    expect(visitorKey(proxyRequest(), SHOP, body)).not.toBe(visitorKey(proxyRequest(), "shop-2.myshopify.com", body));
+  });
+});
+
+describe("forwardedClientIp", () => {
+  afterEach(() => {
+    vi.unstubAllEnvs();
+  });
+
+  it("takes the entry the outermost trusted proxy appended", () => {
+    const request = proxyRequest({ forwardedFor: "10.0.0.1, 203.0.113.7, 23.227.38.1" });
+    expect(forwardedClientIp(request)).toBe("23.227.38.1");
+
+    vi.stubEnv("TRUSTED_PROXY_HOPS", "2");
+    expect(forwardedClientIp(request)).toBe("203.0.113.7");
+  });
+
+  it("ignores the header with no trusted hops or too few entries", () => {
+    vi.stubEnv("TRUSTED_PROXY_HOPS", "0");
+    expect(forwardedClientIp(proxyRequest())).toBeNull();
+
+    vi.stubEnv("TRUSTED_PROXY_HOPS", "3");
+    expect(forwardedClientIp(proxyRequest())).toBeNull();
+  });
+});
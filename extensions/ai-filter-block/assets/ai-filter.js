@@ -21,6 +21,7 @@
     buttonTextColor: root.dataset.buttonTextColor || "#ffffff",
     sectionId: root.dataset.sectionId || "",
     gridSelector: root.dataset.gridSelector || "",
+    autoApply: root.dataset.autoApply === "true",
   };
 
   // --- SVG Icons ---
@@ -55,6 +56,19 @@
   var isOpen = false;
   var isLoading = false;
 
+  // --- Id of the logged query, used to report the rendered result count ---
+  var currentQueryId = null;
+
+  // --- Conversation: recent turns + filters currently applied (survives navigation) ---
+  var CONVERSATION_KEY = "aiFilter:conversation";
+  var VISITOR_KEY = "aiFilter:visitor";
+  var CONVERSATION_TTL_MS = 30 * 60 * 1000;
+  var MAX_TURNS = 5;
+  var conversation = loadConversation();
+
+  // --- Rate-limit countdown timer, running while the proxy says to wait ---
+  var retryTimer = null;
+
   // --- Cached DOM filters (extracted once on first submit) ---
   var cachedAvailableFilters = null;
 
@@ -180,6 +194,7 @@
 
       Object.keys(paramMap).forEach(function (key) {
         var name = key
+          .replace(/^filter\.[pv]\.m\.[\w-]+\./, "")
           .replace("filter.v.option.", "")
           .replace("filter.p.", "")
           .replace("filter.v.", "");
@@ -298,6 +313,7 @@
   function openModal() {
     if (isOpen) return;
     isOpen = true;
+    syncConversationWithUrl();
 
     var overlay = document.createElement("div");
     overlay.className = "ai-filter__overlay";
@@ -328,8 +344,9 @@
       '<button class="ai-filter__submit" type="button">Search</button>' +
       '<div class="ai-filter__hint">' +
       lightbulbIcon +
-      '<span>Try: \u201Cred shoes under $50\u201D or \u201Cwarm winter jacket in size L\u201D</span>' +
+      "<span>" + hintText() + "</span>" +
       "</div>" +
+      '<div class="ai-filter__context"></div>' +
       "</div>" +
       '<div class="ai-filter__results"></div>' +
       "</div>";
@@ -369,11 +386,47 @@
       }
     });
 
+    renderConversationContext(modal);
+
     setTimeout(function () {
       input.focus();
     }, 100);
   }
 
+  function hintText() {
+    return hasConversation()
+      ? "Refine: \u201Cmake it cheaper\u201D or \u201Conly in blue\u201D"
+      : "Try: \u201Cred shoes under $50\u201D or \u201Cwarm winter jacket in size L\u201D";
+  }
+
+  // Show what the next query will refine, with a way to start over
+  function renderConversationContext(modal) {
+    var contextEl = modal.querySelector(".ai-filter__context");
+    var hintEl = modal.querySelector(".ai-filter__hint span");
+    if (!contextEl) return;
+
+    if (hintEl) hintEl.textContent = hintText();
+
+    if (conversation.filters.length === 0) {
+      contextEl.innerHTML = "";
+      return;
+    }
+
+    var html = '<span class="ai-filter__context-label">Refining:</span>';
+    conversation.filters.forEach(function (filter) {
+      html += '<span class="ai-filter__chip">' + escapeHtml(filterLabel(filter)) + "</span>";
+    });
+    html += '<button class="ai-filter__reset" type="button">Start over</button>';
+    contextEl.innerHTML = html;
+
+    contextEl.querySelector(".ai-filter__reset").addEventListener("click", function () {
+      resetConversation();
+      renderConversationContext(modal);
+      var input = modal.querySelector(".ai-filter__input");
+      if (input) input.focus();
+    });
+  }
+
   function closeModal() {
     isOpen = false;
     document.removeEventListener("keydown", handleEscape);
@@ -413,12 +466,13 @@
 
   function handleSubmit(input, modal) {
     var query = input.value.trim();
-    if (!query || isLoading) return;
+    if (!query || isLoading || retryTimer) return;
 
     var resultsArea = modal.querySelector(".ai-filter__results");
     var submitBtn = modal.querySelector(".ai-filter__submit");
 
     isLoading = true;
+    currentQueryId = null;
     submitBtn.disabled = true;
     resultsArea.innerHTML =
       '<div class="ai-filter__loading">' +
@@ -432,6 +486,9 @@
       query: query,
       collectionHandle: config.collectionHandle,
       availableFilters: availableFilters,
+      history: conversation.turns,
+      currentFilters: conversation.filters,
+      visitorId: visitorId(),
     };
 
     var fetchStart = performance.now();
@@ -442,18 +499,37 @@
       body: JSON.stringify(payload),
     })
       .then(function (res) {
-        return res.json();
+        if (res.status !== 429) return res.json();
+
+        // Rate limited: the wait comes from Retry-After, or the body if a proxy dropped the header
+        var retryAfter = parseInt(res.headers.get("Retry-After"), 10);
+        return res
+          .json()
+          .catch(function () {
+            return {};
+          })
+          .then(function (data) {
+            data.retryAfter = retryAfter > 0 ? retryAfter : data.retryAfter || 10;
+            return data;
+          });
       })
       .then(function (data) {
         var fetchEnd = performance.now();
         console.log(
           "[AI Filter] Round-trip: " +
             Math.round(fetchEnd - fetchStart) +
-            "ms",
+            "ms" +
+            (data.source ? " (" + data.source + ")" : ""),
         );
 
         isLoading = false;
         submitBtn.disabled = false;
+        currentQueryId = data.queryId || null;
+
+        if (data.retryAfter) {
+          showRetryCountdown(resultsArea, submitBtn, data.retryAfter);
+          return;
+        }
 
         if (data.error) {
           resultsArea.innerHTML =
@@ -476,6 +552,8 @@
           return;
         }
 
+        rememberTurn(query, data.explanation);
+
         if (data.explanation) {
           resultsArea.innerHTML =
             '<div class="ai-filter__alert ai-filter__alert--success">' +
@@ -484,9 +562,14 @@
             "</div>";
         }
 
-        requestAnimationFrame(function () {
-          applyFilters(data.filters || [], query, data.searchQuery || null);
-        });
+        if (config.autoApply) {
+          requestAnimationFrame(function () {
+            applyFilters(data.filters || [], query, data.searchQuery || null, serverCheckOf(data));
+          });
+          return;
+        }
+
+        renderFilterReview(resultsArea, data, query);
       })
       .catch(function () {
         isLoading = false;
@@ -499,10 +582,292 @@
       });
   }
 
+  // --- Review step: editable filter chips before applying ---
+
+  var FILTER_TYPE_LABELS = {
+    productType: "Type",
+    productVendor: "Brand",
+    tag: "Tag",
+    price: "Price",
+    available: "Availability",
+  };
+
+  // Count down until the shopper may search again, with the button disabled
+  function showRetryCountdown(resultsArea, submitBtn, seconds) {
+    var remaining = Math.max(1, Math.ceil(seconds));
+
+    function render() {
+      resultsArea.innerHTML =
+        '<div class="ai-filter__alert ai-filter__alert--warning">' +
+        infoIcon +
+        "<span>Lots of searches just now. You can search again in " +
+        remaining +
+        " second" +
+        (remaining !== 1 ? "s" : "") +
+        ".</span>" +
+        "</div>";
+    }
+
+    clearInterval(retryTimer);
+    submitBtn.disabled = true;
+    render();
+
+    retryTimer = setInterval(function () {
+      remaining -= 1;
+      if (remaining > 0) {
+        render();
+        return;
+      }
+      clearInterval(retryTimer);
+      retryTimer = null;
+      submitBtn.disabled = false;
+      resultsArea.innerHTML = "";
+    }, 1000);
+  }
+
+  // Result count the server already checked (shops with result preflight on), or null
+  function serverCheckOf(data) {
+    if (typeof data.productCount !== "number") return null;
+    return {
+      productCount: data.productCount,
+      productCountCapped: !!data.productCountCapped,
+      relaxation: data.relaxation || null,
+      alternatives: Array.isArray(data.alternatives) ? data.alternatives : [],
+    };
+  }
+
+  function renderFilterReview(resultsArea, data, query) {
+    var pending = (data.filters || []).map(function (f) {
+      return JSON.parse(JSON.stringify(f));
+    });
+    var searchQuery = data.searchQuery || null;
+    // The server's count only holds for the filters as returned
+    var serverCheck = serverCheckOf(data);
+
+    var review = document.createElement("div");
+    review.className = "ai-filter__review";
+    resultsArea.appendChild(review);
+
+    function render() {
+      var canApply = pending.length > 0 || !!searchQuery;
+      var html = '<div class="ai-filter__chips">';
+      pending.forEach(function (filter, i) {
+        html += renderEditableChip(filter, i);
+      });
+      html += "</div>";
+
+      if (serverCheck && serverCheck.relaxation) {
+        html +=
+          '<p class="ai-filter__review-note">Nothing matched everything, so we adjusted the filters: ' +
+          escapeHtml(serverCheck.relaxation) +
+          ".</p>";
+      }
+
+      if (searchQuery) {
+        html +=
+          '<p class="ai-filter__review-note">Also searching for \u201C' +
+          escapeHtml(searchQuery) +
+          "\u201D</p>";
+      } else if (!canApply) {
+        html += '<p class="ai-filter__review-note">All filters removed. Try a new search.</p>';
+      }
+
+      html +=
+        '<div class="ai-filter__review-actions">' +
+        '<button class="ai-filter__btn ai-filter__btn--default ai-filter__apply" type="button"' +
+        (canApply ? "" : " disabled") +
+        ">Apply</button>" +
+        "</div>";
+
+      review.innerHTML = html;
+
+      review.querySelectorAll("[data-remove]").forEach(function (btn) {
+        btn.addEventListener("click", function () {
+          pending.splice(parseInt(btn.dataset.remove, 10), 1);
+          serverCheck = null;
+          render();
+        });
+      });
+
+      review.querySelectorAll("[data-field]").forEach(function (control) {
+        var eventName = control.tagName === "SELECT" ? "change" : "input";
+        control.addEventListener(eventName, function () {
+          var text = control.tagName === "SELECT" ? control.options[control.selectedIndex].text : control.value;
+          updatePendingFilter(pending[parseInt(control.dataset.idx, 10)], control.dataset.field, control.value, text);
+          serverCheck = null;
+        });
+      });
+
+      review.querySelector(".ai-filter__apply").addEventListener("click", function () {
+        var filters = pending.map(finalizeFilter).filter(Boolean);
+        if (filters.length === 0 && !searchQuery) return;
+        applyFilters(filters, query, searchQuery, serverCheck);
+      });
+    }
+
+    render();
+  }
+
+  function renderEditableChip(filter, idx) {
+    var label;
+    var control;
+
+    if (filter.productType !== undefined) {
+      label = FILTER_TYPE_LABELS.productType;
+      control = renderChipControl("productType", idx, filter.productType, valuesForParam("filter.p.product_type"), label);
+    } else if (filter.productVendor !== undefined) {
+      label = FILTER_TYPE_LABELS.productVendor;
+      control = renderChipControl("productVendor", idx, filter.productVendor, valuesForParam("filter.p.vendor"), label);
+    } else if (filter.tag !== undefined) {
+      label = FILTER_TYPE_LABELS.tag;
+      control = renderChipControl("tag", idx, filter.tag, valuesForParam("filter.p.tag"), label);
+    } else if (filter.variantOption) {
+      label = filter.variantOption.name;
+      control = renderChipControl(
+        "variantOption.value",
+        idx,
+        filter.variantOption.value,
+        valuesForParam("filter.v.option." + String(filter.variantOption.name).toLowerCase()),
+        label,
+      );
+    } else if (filter.metafield) {
+      label = filter.metafield.name || filter.metafield.param;
+      control = renderChipControl(
+        "metafield.value",
+        idx,
+        filter.metafield.value,
+        valuesForParam(filter.metafield.param),
+        label,
+        filter.metafield.label,
+      );
+    } else if (filter.available !== undefined) {
+      label = FILTER_TYPE_LABELS.available;
+      control = renderChipControl("available", idx, String(filter.available), [
+        { value: "true", label: "In stock" },
+        { value: "false", label: "Out of stock" },
+      ], label);
+    } else if (filter.price) {
+      label = FILTER_TYPE_LABELS.price;
+      control =
+        renderPriceInput("price.min", idx, filter.price.min, "Min") +
+        "\u2013" +
+        renderPriceInput("price.max", idx, filter.price.max, "Max");
+    } else {
+      return "";
+    }
+
+    return (
+      '<span class="ai-filter__chip ai-filter__chip--editable">' +
+      '<span class="ai-filter__chip-type">' + escapeHtml(label) + "</span>" +
+      control +
+      '<button class="ai-filter__chip-remove" type="button" data-remove="' + idx + '" aria-label="Remove ' + escapeAttr(label) + ' filter">' +
+      closeIcon +
+      "</button>" +
+      "</span>"
+    );
+  }
+
+  // Dropdown of the page's own filter values when known, free text otherwise.
+  // currentLabel names the current value when it isn't human-readable (metaobject GIDs).
+  function renderChipControl(field, idx, current, options, label, currentLabel) {
+    var attrs =
+      ' class="ai-filter__chip-control" data-field="' + field + '" data-idx="' + idx + '"' +
+      ' aria-label="' + escapeAttr(label) + '"';
+
+    if (options.length === 0) {
+      return '<input type="text"' + attrs + ' value="' + escapeAttr(String(current)) + '" />';
+    }
+
+    var hasCurrent = options.some(function (o) {
+      return o.value === current;
+    });
+    var all = hasCurrent ? options : [{ value: current, label: currentLabel || current }].concat(options);
+
+    var html = "<select" + attrs + ">";
+    all.forEach(function (o) {
+      html +=
+        '<option value="' + escapeAttr(String(o.value)) + '"' +
+        (o.value === current ? " selected" : "") +
+        ">" + escapeHtml(String(o.label)) + "</option>";
+    });
+    return html + "</select>";
+  }
+
+  function renderPriceInput(field, idx, value, placeholder) {
+    return (
+      '<input type="number" min="0" step="any" class="ai-filter__chip-control ai-filter__chip-control--price"' +
+      ' data-field="' + field + '" data-idx="' + idx + '"' +
+      ' placeholder="' + placeholder + '" aria-label="' + placeholder + ' price"' +
+      ' value="' + (value !== undefined && value !== null ? escapeAttr(String(value)) : "") + '" />'
+    );
+  }
+
+  // Unique values the theme offers for a filter.* param, from the scraped facets
+  function valuesForParam(paramName) {
+    var seen = {};
+    var values = [];
+    extractAvailableFilters().forEach(function (group) {
+      (group.values || []).forEach(function (v) {
+        if (v.paramName === paramName && v.value && !seen[v.value]) {
+          seen[v.value] = true;
+          values.push({ value: v.value, label: v.label || v.value });
+        }
+      });
+    });
+    return values;
+  }
+
+  function updatePendingFilter(filter, field, value, text) {
+    if (!filter) return;
+
+    if (field === "variantOption.value") {
+      filter.variantOption.value = value;
+    } else if (field === "metafield.value") {
+      filter.metafield.value = value;
+      filter.metafield.label = text;
+    } else if (field === "available") {
+      filter.available = value === "true";
+    } else if (field === "price.min" || field === "price.max") {
+      var bound = field.split(".")[1];
+      var num = parseFloat(value);
+      if (isNaN(num)) {
+        delete filter.price[bound];
+      } else {
+        filter.price[bound] = num;
+      }
+    } else {
+      filter[field] = value;
+    }
+  }
+
+  // Clean up an edited filter for applying; null if the customer emptied it
+  function finalizeFilter(f) {
+    if (f.price) {
+      var min = f.price.min;
+      var max = f.price.max;
+      if (min === undefined && max === undefined) return null;
+      if (min !== undefined && max !== undefined && min > max) {
+        return { price: { min: max, max: min } };
+      }
+      return f;
+    }
+    if (f.variantOption) {
+      return f.variantOption.value && f.variantOption.value.trim() ? f : null;
+    }
+    if (f.metafield) {
+      return f.metafield.value && f.metafield.value.trim() ? f : null;
+    }
+    if (f.available !== undefined) return f;
+
+    var key = Object.keys(f)[0];
+    return key && typeof f[key] === "string" && f[key].trim() ? f : null;
+  }
+
   // =============================================
   // 6. Apply filters — build URL and navigate/AJAX
   // =============================================
 
+  // Mirrored server-side in app/utils/storefrontUrl.js (admin playground)
   function appendFilterParams(url, filters) {
     filters.forEach(function (filter) {
       if (filter.productType) {
@@ -551,10 +916,15 @@
           );
         }
       }
+
+      // Search & Discovery metafield filters carry their own param, e.g. filter.p.m.custom.material
+      if (filter.metafield && filter.metafield.value && /^filter\.[pv]\.m\./.test(filter.metafield.param || "")) {
+        url.searchParams.append(filter.metafield.param, filter.metafield.value);
+      }
     });
   }
 
-  function applyFilters(filters, query, searchQuery) {
+  function applyFilters(filters, query, searchQuery, serverCheck) {
     var isCollectionPage = /\/collections\//.test(window.location.pathname);
     var hasFilters = filters && filters.length > 0;
 
@@ -563,6 +933,7 @@
       var searchUrl = new URL("/search", window.location.origin);
       searchUrl.searchParams.set("type", "product");
       searchUrl.searchParams.set("q", searchQuery);
+      rememberAppliedFilters(filters || [], searchUrl.pathname);
       window.location.href = searchUrl.toString();
       return;
     }
@@ -581,11 +952,15 @@
         if (filter.variantOption && filter.variantOption.value) {
           searchTerms.push(filter.variantOption.value);
         }
+        if (filter.metafield) {
+          searchTerms.push(filter.metafield.label || filter.metafield.value);
+        }
       });
 
       var qVal = searchQuery || (searchTerms.length > 0 ? searchTerms.join(" ") : query);
       navUrl.searchParams.set("q", qVal);
       appendFilterParams(navUrl, filters);
+      rememberAppliedFilters(filters, navUrl.pathname);
 
       window.location.href = navUrl.toString();
       return;
@@ -595,7 +970,14 @@
     var sc = detectSectionConfig();
 
     if (sc.supported) {
-      applyFiltersViaAjax(filters, query, sc);
+      // A server-checked result with products is already relaxed, so skip the
+      // widget's own attempts; with none, ask /relax for alternatives as usual
+      applyFiltersViaAjax(filters, query, sc, serverCheck && serverCheck.productCount > 0 ? {
+        attempt: 2,
+        removedLabels: serverCheck.relaxation,
+        serverCount: serverCheck.productCountCapped ? -1 : serverCheck.productCount,
+        alternatives: serverCheck.alternatives,
+      } : undefined);
     } else {
       applyFiltersViaNavigation(filters, query);
     }
@@ -616,6 +998,7 @@
     });
 
     appendFilterParams(url, filters);
+    rememberAppliedFilters(filters, url.pathname);
     window.location.href = url.toString();
   }
 
@@ -656,76 +1039,90 @@
           return;
         }
 
-        // Count products in returned HTML
+        // Count products in returned HTML; themes we can't read use the server's count
         var productCount = countProductsInHtml(html);
+        if (productCount < 0 && relaxationAttempt && typeof relaxationAttempt.serverCount === "number") {
+          productCount = relaxationAttempt.serverCount;
+        }
 
-        // Zero results handling (Phase 5)
+        // Zero results handling (Phase 5): the server ranks alternatives once,
+        // then each automatic attempt takes the next one
         if (productCount === 0 && !relaxationAttempt) {
-          var relaxations = relaxFilters(filters);
-          if (relaxations.length > 0) {
-            // Auto-try first relaxation
-            applyFiltersViaAjax(relaxations[0].filters, query, sc, {
-              attempt: 1,
-              removedLabels: relaxations[0].removedLabels,
-              originalFilters: filters,
-            });
-            return;
-          }
+          fetchAlternatives(filters, query, function (alternatives) {
+            if (alternatives.length > 0) {
+              applyFiltersViaAjax(alternatives[0].filters, query, sc, {
+                attempt: 1,
+                removedLabels: alternatives[0].label,
+                originalFilters: filters,
+                alternatives: alternatives.slice(1),
+              });
+            } else {
+              showGrid();
+            }
+          });
+          return;
         }
 
-        if (productCount === 0 && relaxationAttempt && relaxationAttempt.attempt < 2) {
-          var relaxations2 = relaxFilters(relaxationAttempt.attempt === 1 ? filters : relaxationAttempt.originalFilters);
-          // Try next relaxation that's different from current
-          var nextIdx = relaxationAttempt.attempt;
-          if (nextIdx < relaxations2.length) {
-            applyFiltersViaAjax(relaxations2[nextIdx].filters, query, sc, {
-              attempt: relaxationAttempt.attempt + 1,
-              removedLabels: relaxations2[nextIdx].removedLabels,
-              originalFilters: relaxationAttempt.originalFilters || filters,
-            });
-            return;
-          }
+        var untried = (relaxationAttempt && relaxationAttempt.alternatives) || [];
+        if (productCount === 0 && relaxationAttempt && relaxationAttempt.attempt < 2 && untried.length > 0) {
+          applyFiltersViaAjax(untried[0].filters, query, sc, {
+            attempt: relaxationAttempt.attempt + 1,
+            removedLabels: untried[0].label,
+            originalFilters: relaxationAttempt.originalFilters || filters,
+            alternatives: untried.slice(1),
+          });
+          return;
         }
 
-        // Swap grid content
-        var parser = new DOMParser();
-        var doc = parser.parseFromString(html, "text/html");
-        var newGrid = doc.querySelector(sc.gridSelector);
-
-        if (newGrid && sc.gridContainer) {
-          sc.gridContainer.innerHTML = newGrid.innerHTML;
-          sc.gridContainer.classList.remove("ai-filter__grid-loading");
-        } else if (sc.gridContainer) {
-          // Fallback: replace the entire section content
-          var sectionWrapper = document.getElementById("shopify-section-" + sc.sectionId);
-          if (sectionWrapper) {
-            sectionWrapper.innerHTML = html;
-            // Re-detect grid container
-            var freshGrid = document.querySelector(sc.gridSelector);
-            if (freshGrid) {
-              sc.gridContainer = freshGrid;
+        showGrid();
+
+        function showGrid() {
+          // Swap grid content
+          var parser = new DOMParser();
+          var doc = parser.parseFromString(html, "text/html");
+          var newGrid = doc.querySelector(sc.gridSelector);
+
+          if (newGrid && sc.gridContainer) {
+            sc.gridContainer.innerHTML = newGrid.innerHTML;
+            sc.gridContainer.classList.remove("ai-filter__grid-loading");
+          } else if (sc.gridContainer) {
+            // Fallback: replace the entire section content
+            var sectionWrapper = document.getElementById("shopify-section-" + sc.sectionId);
+            if (sectionWrapper) {
+              sectionWrapper.innerHTML = html;
+              // Re-detect grid container
+              var freshGrid = document.querySelector(sc.gridSelector);
+              if (freshGrid) {
+                sc.gridContainer = freshGrid;
+              }
             }
           }
-        }
 
-        // Show relaxation notice if filters were relaxed
-        if (relaxationAttempt && relaxationAttempt.removedLabels && productCount > 0) {
-          showRelaxationNotice(relaxationAttempt.removedLabels, productCount);
-        }
+          // Show relaxation notice if filters were relaxed
+          if (relaxationAttempt && relaxationAttempt.removedLabels && productCount !== 0) {
+            showRelaxationNotice(relaxationAttempt.removedLabels, productCount);
+          }
 
-        // If still 0 after all auto-attempts, show interactive options in modal
-        if (productCount === 0 && relaxationAttempt && relaxationAttempt.attempt >= 2) {
-          showZeroResultsInModal(filters, query, sc);
-        }
+          if (productCount >= 0) {
+            reportOutcome(productCount, relaxationAttempt);
+          }
 
-        // Update browser URL (without section param)
-        url.searchParams.delete("sections");
-        history.pushState({ aiFilter: true, filters: filters }, "", url.toString());
+          rememberAppliedFilters(filters, url.pathname);
 
-        // Close modal and scroll to grid
-        closeModal();
-        if (sc.gridContainer) {
-          sc.gridContainer.scrollIntoView({ behavior: "smooth", block: "start" });
+          // If still 0 after the automatic attempts, offer the remaining alternatives
+          if (productCount === 0 && relaxationAttempt) {
+            showZeroResultsInModal(untried, query, sc);
+          }
+
+          // Update browser URL (without section param)
+          url.searchParams.delete("sections");
+          history.pushState({ aiFilter: true, filters: filters }, "", url.toString());
+
+          // Close modal and scroll to grid
+          closeModal();
+          if (sc.gridContainer) {
+            sc.gridContainer.scrollIntoView({ behavior: "smooth", block: "start" });
+          }
         }
       })
       .catch(function () {
@@ -778,58 +1175,59 @@
     return -1; // Unknown
   }
 
+  // Tell the app how the query actually performed so merchants can see zero-result queries
+  function reportOutcome(productCount, relaxationAttempt) {
+    if (!currentQueryId) return;
+
+    var relaxed = !!(relaxationAttempt && relaxationAttempt.removedLabels);
+
+    fetch(config.proxyPath + "/outcome", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        queryId: currentQueryId,
+        productCount: productCount,
+        relaxed: relaxed,
+        relaxation: relaxed ? relaxationAttempt.removedLabels : null,
+      }),
+      keepalive: true,
+    }).catch(function () {
+      // Analytics only — never surface to the customer
+    });
+  }
+
   // =============================================
   // 8. Filter relaxation (Phase 5)
   // =============================================
 
-  function relaxFilters(filters) {
-    // Priority order for removal: variantOption → tag → price → vendor → productType
-    var relaxations = [];
-    var filterTypes = ["variantOption", "tag", "price", "productVendor", "productType"];
-
-    for (var t = 0; t < filterTypes.length; t++) {
-      var type = filterTypes[t];
-      var hasType = false;
-      var relaxed = [];
-      var removedLabel = "";
-
-      for (var i = 0; i < filters.length; i++) {
-        var f = filters[i];
-        if (f[type] !== undefined && f[type] !== null) {
-          hasType = true;
-          // Build removed label
-          if (type === "price") {
-            var pMin = f.price.min !== undefined ? f.price.min : "";
-            var pMax = f.price.max !== undefined ? f.price.max : "";
-            removedLabel = "price range" + (pMin || pMax ? " (" + pMin + "–" + pMax + ")" : "");
-          } else if (type === "variantOption") {
-            removedLabel = (f.variantOption.name || "") + ": " + (f.variantOption.value || "");
-          } else {
-            removedLabel = type.replace("product", "").toLowerCase() + ' "' + f[type] + '"';
-          }
-          // Remove this filter property
-          var copy = {};
-          for (var key in f) {
-            if (key !== type) copy[key] = f[key];
-          }
-          // Only add if the copy still has meaningful properties
-          if (Object.keys(copy).length > 0) {
-            relaxed.push(copy);
-          }
-        } else {
-          relaxed.push(f);
-        }
-      }
-
-      if (hasType && relaxed.length > 0) {
-        relaxations.push({
-          filters: relaxed,
-          removedLabels: removedLabel,
-        });
-      }
-    }
+  // Ranked ways to loosen filters that matched nothing (see relaxation.server.js)
+  function fetchAlternatives(filters, query, callback) {
+    fetch(config.proxyPath + "/relax", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        filters: filters,
+        query: query,
+        collectionHandle: config.collectionHandle,
+        visitorId: visitorId(),
+      }),
+    })
+      .then(function (res) {
+        return res.json();
+      })
+      .catch(function () {
+        return null;
+      })
+      .then(function (data) {
+        callback(data && Array.isArray(data.alternatives) ? data.alternatives : []);
+      });
+  }
 
-    return relaxations;
+  function alternativeCountText(alternative) {
+    var count = alternative.expectedCount;
+    if (typeof count !== "number") return "";
+    if (alternative.countCapped) return " (" + count + "+)";
+    return " (" + (alternative.countIsEstimate ? "up to " : "") + count + ")";
   }
 
   function showRelaxationNotice(removedLabels, count) {
@@ -841,13 +1239,11 @@
     notice.className = "ai-filter__alert ai-filter__alert--warning";
     notice.innerHTML =
       infoIcon +
-      "<span>We broadened your search by removing " +
+      "<span>No exact matches, so we broadened your search: " +
       escapeHtml(removedLabels) +
-      ". Showing " +
-      count +
-      " result" +
-      (count !== 1 ? "s" : "") +
-      ".</span>";
+      // A count below 0 means neither the theme nor the server could tell
+      (count < 0 ? "." : ". Showing " + count + " result" + (count !== 1 ? "s" : "") + ".") +
+      "</span>";
 
     var sc = detectSectionConfig();
     if (sc.gridContainer && sc.gridContainer.parentNode) {
@@ -855,7 +1251,7 @@
     }
   }
 
-  function showZeroResultsInModal(originalFilters, query, sc) {
+  function showZeroResultsInModal(alternatives, query, sc) {
     var overlay = document.getElementById("ai-filter-overlay");
     if (!overlay) {
       openModal();
@@ -866,22 +1262,19 @@
     var resultsArea = overlay.querySelector(".ai-filter__results");
     if (!resultsArea) return;
 
-    var relaxations = relaxFilters(originalFilters);
-
     var html =
       '<div class="ai-filter__empty">' +
       searchXIcon +
       '<p class="ai-filter__empty-title">No exact matches found</p>' +
-      '<p class="ai-filter__empty-description">Try broadening your search by removing a filter.</p>' +
+      '<p class="ai-filter__empty-description">Try one of these instead.</p>' +
       '<div class="ai-filter__empty-actions">';
 
-    for (var i = 0; i < relaxations.length; i++) {
+    for (var i = 0; i < alternatives.length; i++) {
       html +=
         '<button class="ai-filter__btn ai-filter__btn--outline" data-relax-idx="' +
         i +
         '">' +
-        "Remove " +
-        escapeHtml(relaxations[i].removedLabels) +
+        escapeHtml(alternatives[i].label + alternativeCountText(alternatives[i])) +
         "</button>";
     }
 
@@ -907,9 +1300,15 @@
         }
 
         var idx = parseInt(btn.dataset.relaxIdx, 10);
-        if (relaxations[idx]) {
+        if (alternatives[idx]) {
           closeModal();
-          applyFiltersViaAjax(relaxations[idx].filters, query, sc);
+          applyFiltersViaAjax(alternatives[idx].filters, query, sc, {
+            attempt: 2,
+            removedLabels: alternatives[idx].label,
+            alternatives: alternatives.filter(function (_, j) {
+              return j !== idx;
+            }),
+          });
         }
       });
     });
@@ -964,6 +1363,109 @@
       });
   });
 
+  // =============================================
+  // 10. Conversation state
+  // =============================================
+
+  function emptyConversation() {
+    return { turns: [], filters: [], path: "", savedAt: 0 };
+  }
+
+  // Restore the conversation if it is recent and belongs to this page
+  function loadConversation() {
+    try {
+      var saved = JSON.parse(sessionStorage.getItem(CONVERSATION_KEY) || "null");
+      if (
+        saved &&
+        Array.isArray(saved.turns) &&
+        Array.isArray(saved.filters) &&
+        saved.path === window.location.pathname &&
+        Date.now() - saved.savedAt < CONVERSATION_TTL_MS
+      ) {
+        return saved;
+      }
+    } catch (e) {
+      // storage unavailable or corrupt — start fresh
+    }
+    return emptyConversation();
+  }
+
+  function saveConversation() {
+    conversation.savedAt = Date.now();
+    try {
+      sessionStorage.setItem(CONVERSATION_KEY, JSON.stringify(conversation));
+    } catch (e) {
+      // storage unavailable — conversation lasts until the next page load
+    }
+  }
+
+  // Random per-tab token so shoppers without a customer account or distinct IP
+  // get their own rate limit
+  function visitorId() {
+    try {
+      var id = sessionStorage.getItem(VISITOR_KEY);
+      if (!id) {
+        id = Math.random().toString(36).slice(2) + Date.now().toString(36);
+        sessionStorage.setItem(VISITOR_KEY, id);
+      }
+      return id;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function resetConversation() {
+    conversation = emptyConversation();
+    try {
+      sessionStorage.removeItem(CONVERSATION_KEY);
+    } catch (e) {
+      // ignore
+    }
+  }
+
+  // The theme's own facet UI may have cleared the filters since the last turn
+  function syncConversationWithUrl() {
+    if (conversation.filters.length === 0) return;
+    if (window.location.search.indexOf("filter.") === -1) {
+      resetConversation();
+    }
+  }
+
+  function hasConversation() {
+    return conversation.filters.length > 0;
+  }
+
+  function rememberTurn(query, explanation) {
+    conversation.turns.push({ query: query, explanation: explanation || "" });
+    if (conversation.turns.length > MAX_TURNS) {
+      conversation.turns = conversation.turns.slice(-MAX_TURNS);
+    }
+    saveConversation();
+  }
+
+  // Record the filters actually applied (after any relaxation) and where
+  function rememberAppliedFilters(filters, path) {
+    conversation.filters = filters || [];
+    conversation.path = path;
+    saveConversation();
+  }
+
+  function filterLabel(f) {
+    if (f.productType) return f.productType;
+    if (f.productVendor) return f.productVendor;
+    if (f.tag) return f.tag;
+    if (f.available === true) return "In stock";
+    if (f.available === false) return "Out of stock";
+    if (f.variantOption) return f.variantOption.name + ": " + f.variantOption.value;
+    if (f.metafield) return (f.metafield.name || f.metafield.param) + ": " + (f.metafield.label || f.metafield.value);
+    if (f.price) {
+      if (f.price.min !== undefined && f.price.max !== undefined) return f.price.min + "\u2013" + f.price.max;
+      if (f.price.max !== undefined) return "Under " + f.price.max;
+      if (f.price.min !== undefined) return "Over " + f.price.min;
+    }
+    return "";
+  }
+
   // =============================================
   // Utilities
   // =============================================
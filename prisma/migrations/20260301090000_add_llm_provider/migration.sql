@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "Shop" ADD COLUMN "llmModel" TEXT;
+ALTER TABLE "Shop" ADD COLUMN "llmProvider" TEXT;
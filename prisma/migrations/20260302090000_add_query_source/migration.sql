@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "AiFilterQuery" ADD COLUMN "source" TEXT NOT NULL DEFAULT 'llm';
+
+-- Backfill: cache hits were the only rows logged with zero latency
+UPDATE "AiFilterQuery" SET "source" = 'cache' WHERE "latencyMs" = 0;
@@ -0,0 +1,23 @@
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_AiFilterQuery" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shopId" TEXT NOT NULL,
+    "userQuery" TEXT NOT NULL,
+    "filtersReturned" TEXT,
+    "productCount" INTEGER,
+    "relaxed" BOOLEAN NOT NULL DEFAULT false,
+    "relaxation" TEXT,
+    "latencyMs" INTEGER NOT NULL DEFAULT 0,
+    "source" TEXT NOT NULL DEFAULT 'llm',
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "AiFilterQuery_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "Shop" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+-- productCount was never written before this migration, so existing zeros mean "unknown"
+INSERT INTO "new_AiFilterQuery" ("createdAt", "filtersReturned", "id", "latencyMs", "shopId", "source", "userQuery") SELECT "createdAt", "filtersReturned", "id", "latencyMs", "shopId", "source", "userQuery" FROM "AiFilterQuery";
+DROP TABLE "AiFilterQuery";
+ALTER TABLE "new_AiFilterQuery" RENAME TO "AiFilterQuery";
+CREATE INDEX "AiFilterQuery_shopId_createdAt_idx" ON "AiFilterQuery"("shopId", "createdAt");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "AiFilterQuery" ADD COLUMN "normalizedQuery" TEXT NOT NULL DEFAULT '';
+
+-- Backfill (collapsing inner whitespace is left to new rows)
+UPDATE "AiFilterQuery" SET "normalizedQuery" = lower(trim("userQuery"));
+
+-- CreateIndex
+CREATE INDEX "AiFilterQuery_shopId_normalizedQuery_idx" ON "AiFilterQuery"("shopId", "normalizedQuery");
@@ -0,0 +1,12 @@
+-- CreateTable
+CREATE TABLE "Synonym" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shopId" TEXT NOT NULL,
+    "term" TEXT NOT NULL,
+    "canonical" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "Synonym_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "Shop" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Synonym_shopId_term_key" ON "Synonym"("shopId", "term");
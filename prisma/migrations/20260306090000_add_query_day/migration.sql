@@ -0,0 +1,11 @@
+-- AlterTable
+ALTER TABLE "AiFilterQuery" ADD COLUMN "day" TEXT NOT NULL DEFAULT '';
+
+-- Backfill the UTC day bucket (Prisma writes DateTime as epoch milliseconds)
+UPDATE "AiFilterQuery" SET "day" = CASE
+    WHEN typeof("createdAt") = 'integer' THEN date("createdAt" / 1000, 'unixepoch')
+    ELSE date("createdAt")
+END;
+
+-- CreateIndex
+CREATE INDEX "AiFilterQuery_shopId_day_idx" ON "AiFilterQuery"("shopId", "day");
@@ -0,0 +1,18 @@
+-- CreateTable
+CREATE TABLE "PinnedRule" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shopId" TEXT NOT NULL,
+    "matchType" TEXT NOT NULL DEFAULT 'exact',
+    "pattern" TEXT NOT NULL,
+    "filters" TEXT NOT NULL DEFAULT '[]',
+    "searchQuery" TEXT NOT NULL DEFAULT '',
+    "explanation" TEXT NOT NULL DEFAULT '',
+    "enabled" BOOLEAN NOT NULL DEFAULT true,
+    "priority" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "PinnedRule_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "Shop" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "PinnedRule_shopId_enabled_idx" ON "PinnedRule"("shopId", "enabled");
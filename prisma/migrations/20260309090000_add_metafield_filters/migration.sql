@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "Shop" ADD COLUMN "metafieldFilters" TEXT NOT NULL DEFAULT '[]';
@@ -0,0 +1,21 @@
+-- AlterTable
+ALTER TABLE "Shop" ADD COLUMN "variantOptionsSyncedAt" DATETIME;
+
+-- CreateTable
+CREATE TABLE "TaxonomySyncJob" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shopId" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'idle',
+    "mode" TEXT NOT NULL DEFAULT 'paged',
+    "cursor" TEXT,
+    "bulkOperationId" TEXT,
+    "productsScanned" INTEGER NOT NULL DEFAULT 0,
+    "error" TEXT,
+    "startedAt" DATETIME,
+    "completedAt" DATETIME,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "TaxonomySyncJob_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "Shop" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "TaxonomySyncJob_shopId_key" ON "TaxonomySyncJob"("shopId");
@@ -0,0 +1,20 @@
+-- CreateTable
+CREATE TABLE "TaxonomyProduct" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shopId" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "productType" TEXT NOT NULL DEFAULT '',
+    "vendor" TEXT NOT NULL DEFAULT '',
+    "tags" TEXT NOT NULL DEFAULT '[]',
+    "options" TEXT NOT NULL DEFAULT '[]',
+    "minPrice" REAL,
+    "maxPrice" REAL,
+    "scannedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "TaxonomyProduct_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "Shop" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "TaxonomyProduct_shopId_productId_key" ON "TaxonomyProduct"("shopId", "productId");
+
+-- CreateIndex
+CREATE INDEX "TaxonomyProduct_shopId_scannedAt_idx" ON "TaxonomyProduct"("shopId", "scannedAt");
@@ -0,0 +1,67 @@
+-- CreateTable
+CREATE TABLE "TaxonomyValue" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shopId" TEXT NOT NULL,
+    "kind" TEXT NOT NULL,
+    "optionName" TEXT NOT NULL DEFAULT '',
+    "value" TEXT NOT NULL,
+    "productCount" INTEGER NOT NULL DEFAULT 0,
+    "firstSeenAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lastSeenAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "TaxonomyValue_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "Shop" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "TaxonomyValue_shopId_kind_optionName_value_key" ON "TaxonomyValue"("shopId", "kind", "optionName", "value");
+
+-- CreateIndex
+CREATE INDEX "TaxonomyValue_shopId_kind_productCount_idx" ON "TaxonomyValue"("shopId", "kind", "productCount");
+
+-- AlterTable
+ALTER TABLE "Shop" ADD COLUMN "priceMin" REAL;
+ALTER TABLE "Shop" ADD COLUMN "priceMax" REAL;
+ALTER TABLE "Shop" ADD COLUMN "priceCurrency" TEXT;
+
+-- Migrate the JSON taxonomy columns; product counts are filled in by the next catalog scan
+INSERT OR IGNORE INTO "TaxonomyValue" ("id", "shopId", "kind", "value", "productCount", "firstSeenAt", "lastSeenAt")
+SELECT 'c' || lower(hex(randomblob(12))), s."id", 'productType', v."value", 0,
+       COALESCE(s."taxonomySyncedAt", CURRENT_TIMESTAMP), COALESCE(s."taxonomySyncedAt", CURRENT_TIMESTAMP)
+FROM "Shop" s
+JOIN json_each(CASE WHEN json_valid(s."productTypes") THEN s."productTypes" ELSE '[]' END) v
+WHERE v."type" = 'text' AND v."value" <> '';
+
+INSERT OR IGNORE INTO "TaxonomyValue" ("id", "shopId", "kind", "value", "productCount", "firstSeenAt", "lastSeenAt")
+SELECT 'c' || lower(hex(randomblob(12))), s."id", 'productVendor', v."value", 0,
+       COALESCE(s."taxonomySyncedAt", CURRENT_TIMESTAMP), COALESCE(s."taxonomySyncedAt", CURRENT_TIMESTAMP)
+FROM "Shop" s
+JOIN json_each(CASE WHEN json_valid(s."vendors") THEN s."vendors" ELSE '[]' END) v
+WHERE v."type" = 'text' AND v."value" <> '';
+
+INSERT OR IGNORE INTO "TaxonomyValue" ("id", "shopId", "kind", "value", "productCount", "firstSeenAt", "lastSeenAt")
+SELECT 'c' || lower(hex(randomblob(12))), s."id", 'tag', v."value", 0,
+       COALESCE(s."taxonomySyncedAt", CURRENT_TIMESTAMP), COALESCE(s."taxonomySyncedAt", CURRENT_TIMESTAMP)
+FROM "Shop" s
+JOIN json_each(CASE WHEN json_valid(s."tags") THEN s."tags" ELSE '[]' END) v
+WHERE v."type" = 'text' AND v."value" <> '';
+
+INSERT OR IGNORE INTO "TaxonomyValue" ("id", "shopId", "kind", "optionName", "value", "productCount", "firstSeenAt", "lastSeenAt")
+SELECT 'c' || lower(hex(randomblob(12))), s."id", 'variantOption', json_extract(o."value", '$.name'), v."value", COALESCE(c."value", 0),
+       COALESCE(s."variantOptionsSyncedAt", s."taxonomySyncedAt", CURRENT_TIMESTAMP), COALESCE(s."variantOptionsSyncedAt", s."taxonomySyncedAt", CURRENT_TIMESTAMP)
+FROM "Shop" s
+JOIN json_each(CASE WHEN json_valid(s."variantOptions") THEN s."variantOptions" ELSE '[]' END) o
+JOIN json_each(o."value", '$.values') v
+LEFT JOIN json_each(o."value", '$.counts') c ON c."key" = v."value"
+WHERE json_extract(o."value", '$.name') IS NOT NULL AND v."type" = 'text' AND v."value" <> '';
+
+UPDATE "Shop" SET
+    "priceMin" = json_extract("priceRange", '$.min'),
+    "priceMax" = json_extract("priceRange", '$.max'),
+    "priceCurrency" = json_extract("priceRange", '$.currency')
+WHERE json_valid("priceRange");
+
+-- AlterTable
+ALTER TABLE "Shop" DROP COLUMN "productTypes";
+ALTER TABLE "Shop" DROP COLUMN "vendors";
+ALTER TABLE "Shop" DROP COLUMN "tags";
+ALTER TABLE "Shop" DROP COLUMN "priceRange";
+ALTER TABLE "Shop" DROP COLUMN "variantOptions";
@@ -0,0 +1,32 @@
+-- AlterTable
+ALTER TABLE "AiFilterQuery" ADD COLUMN "collectionHandle" TEXT NOT NULL DEFAULT '';
+
+-- CreateTable
+CREATE TABLE "CollectionTaxonomy" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shopId" TEXT NOT NULL,
+    "handle" TEXT NOT NULL,
+    "collectionId" TEXT NOT NULL,
+    "productCount" INTEGER NOT NULL DEFAULT 0,
+    "priceMin" REAL,
+    "priceMax" REAL,
+    "syncedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "CollectionTaxonomy_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "Shop" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateTable
+CREATE TABLE "CollectionTaxonomyValue" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "collectionTaxonomyId" TEXT NOT NULL,
+    "kind" TEXT NOT NULL,
+    "optionName" TEXT NOT NULL DEFAULT '',
+    "value" TEXT NOT NULL,
+    "productCount" INTEGER NOT NULL DEFAULT 0,
+    CONSTRAINT "CollectionTaxonomyValue_collectionTaxonomyId_fkey" FOREIGN KEY ("collectionTaxonomyId") REFERENCES "CollectionTaxonomy" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CollectionTaxonomy_shopId_handle_key" ON "CollectionTaxonomy"("shopId", "handle");
+
+-- CreateIndex
+CREATE INDEX "CollectionTaxonomyValue_collectionTaxonomyId_kind_productCount_idx" ON "CollectionTaxonomyValue"("collectionTaxonomyId", "kind", "productCount");
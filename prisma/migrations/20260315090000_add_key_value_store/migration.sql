@@ -0,0 +1,10 @@
+-- CreateTable
+CREATE TABLE "KeyValue" (
+    "key" TEXT NOT NULL PRIMARY KEY,
+    "value" TEXT NOT NULL,
+    "expiresAt" DATETIME NOT NULL,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE INDEX "KeyValue_expiresAt_idx" ON "KeyValue"("expiresAt");
@@ -0,0 +1,21 @@
+-- AlterTable
+ALTER TABLE "Shop" ADD COLUMN "plan" TEXT NOT NULL DEFAULT 'free';
+ALTER TABLE "Shop" ADD COLUMN "overQuotaBehavior" TEXT NOT NULL DEFAULT 'search';
+
+-- Shops installed before plans existed keep unlimited queries
+UPDATE "Shop" SET "plan" = 'legacy';
+
+-- CreateTable
+CREATE TABLE "UsageCounter" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shopId" TEXT NOT NULL,
+    "period" TEXT NOT NULL,
+    "aiQueries" INTEGER NOT NULL DEFAULT 0,
+    "cachedQueries" INTEGER NOT NULL DEFAULT 0,
+    "warnedAt" DATETIME,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "UsageCounter_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "Shop" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "UsageCounter_shopId_period_key" ON "UsageCounter"("shopId", "period");
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "Shop" ADD COLUMN "visitorRequestsPerMinute" INTEGER NOT NULL DEFAULT 5;
+ALTER TABLE "Shop" ADD COLUMN "visitorRequestsPerHour" INTEGER NOT NULL DEFAULT 60;
@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "Shop" ADD COLUMN "cacheTtlHours" INTEGER NOT NULL DEFAULT 24;
+
+-- AlterTable
+ALTER TABLE "UsageCounter" ADD COLUMN "cacheHits" INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE "UsageCounter" ADD COLUMN "persistentCacheHits" INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE "UsageCounter" ADD COLUMN "cacheMisses" INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "CollectionTaxonomy" ADD COLUMN "staleAt" DATETIME;
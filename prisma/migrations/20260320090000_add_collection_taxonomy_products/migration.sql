@@ -0,0 +1,14 @@
+-- CreateTable
+CREATE TABLE "CollectionTaxonomyProduct" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "collectionTaxonomyId" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    CONSTRAINT "CollectionTaxonomyProduct_collectionTaxonomyId_fkey" FOREIGN KEY ("collectionTaxonomyId") REFERENCES "CollectionTaxonomy" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CollectionTaxonomyProduct_collectionTaxonomyId_productId_key" ON "CollectionTaxonomyProduct"("collectionTaxonomyId", "productId");
+
+-- CreateIndex
+CREATE INDEX "CollectionTaxonomyProduct_productId_idx" ON "CollectionTaxonomyProduct"("productId");
+
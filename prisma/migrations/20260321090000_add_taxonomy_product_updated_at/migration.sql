@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "TaxonomyProduct" ADD COLUMN "productUpdatedAt" DATETIME;
@@ -0,0 +1,32 @@
+import prismaClient from "@prisma/client";
+import { PLANS } from "../app/utils/plans.js";
+
+const { PrismaClient } = prismaClient; // CommonJS outside of Vite
+
+/**
+ * Assign a shop's plan (Shop.plan), which sets its monthly AI query quota and
+ * per-minute limit. There is no billing flow yet, so this is how plans change.
+ *
+ *   npm run set-plan -- <shop>.myshopify.com <plan>
+ */
+
+const [domain, plan] = process.argv.slice(2);
+const planIds = Object.keys(PLANS);
+
+if (!domain || !PLANS[plan]) {
+  console.error(`Usage: npm run set-plan -- <shop>.myshopify.com <${planIds.join("|")}>`);
+  process.exit(1);
+}
+
+const prisma = new PrismaClient();
+try {
+  const { count } = await prisma.shop.updateMany({ where: { domain }, data: { plan } });
+  if (count === 0) {
+    console.error(`[Plans] No shop found for ${domain}`);
+    process.exitCode = 1;
+  } else {
+    console.log(`[Plans] ${domain} is now on the ${PLANS[plan].label} plan`);
+  }
+} finally {
+  await prisma.$disconnect();
+}
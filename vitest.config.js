@@ -0,0 +1,9 @@
+import { defineConfig } from "vitest/config";
+
+// Separate from vite.config.js, whose React Router plugin only builds the app
+export default defineConfig({
+  test: {
+    include: ["app/**/*.test.js"],
+    environment: "node",
+  },
+});